@@ -0,0 +1,97 @@
+const {
+  differenceInMilliseconds,
+  eachDayOfInterval,
+  eachMonthOfInterval,
+  eachWeekOfInterval,
+  endOfDay,
+  format,
+  startOfDay,
+  subDays,
+  subMilliseconds,
+} = require("date-fns");
+
+// Date-range and bucketing helpers for the analytics and reporting routes.
+// Buckets are computed in the server's time zone, both here (date-fns) and
+// in MongoDB ($dateTrunc), so the two line up.
+
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const INTERVALS = {
+  day: {
+    starts: ({ from, to }) => eachDayOfInterval({ start: from, end: to }),
+    label: (date) => format(date, "yyyy-MM-dd"),
+  },
+  week: {
+    starts: ({ from, to }) =>
+      eachWeekOfInterval({ start: from, end: to }, { weekStartsOn: 1 }),
+    label: (date) => format(date, "RRRR-'W'II"),
+  },
+  month: {
+    starts: ({ from, to }) => eachMonthOfInterval({ start: from, end: to }),
+    label: (date) => format(date, "yyyy-MM"),
+  },
+};
+
+// Whole days from `from` to `to`; defaults to the last `fallbackDays` days
+const resolveRange = ({ from, to } = {}, fallbackDays = 30) => {
+  const end = endOfDay(to || new Date());
+  const start = startOfDay(from || subDays(end, fallbackDays - 1));
+  return { from: start, to: end };
+};
+
+// The range of equal length that ends right before `range`
+const previousRange = (range) => {
+  const length = differenceInMilliseconds(range.to, range.from);
+  const to = subMilliseconds(range.from, 1);
+  return { from: subMilliseconds(to, length), to };
+};
+
+// Aggregation expression for the start of the bucket containing `field`
+const bucketStart = (field, interval) => ({
+  $dateTrunc: {
+    date: field,
+    unit: interval,
+    timezone: TIME_ZONE,
+    ...(interval === "week" && { startOfWeek: "monday" }),
+  },
+});
+
+// Turns `{ metric: [{ _id: bucketStartDate, value }] }` into one row per
+// bucket of the range, with zeroes where nothing happened.
+const buildSeries = (range, interval, metrics) => {
+  const { starts, label } = INTERVALS[interval];
+  const rows = new Map(
+    starts(range).map((start) => [
+      start.getTime(),
+      {
+        period: label(start),
+        start,
+        ...Object.fromEntries(Object.keys(metrics).map((key) => [key, 0])),
+      },
+    ])
+  );
+
+  for (const [key, buckets] of Object.entries(metrics)) {
+    for (const bucket of buckets) {
+      const row = rows.get(new Date(bucket._id).getTime());
+      if (row) row[key] = bucket.value;
+    }
+  }
+
+  return [...rows.values()];
+};
+
+// Percentage change from `previous` to `current`, null without a baseline
+const percentChange = (current, previous) =>
+  previous
+    ? Number((((current - previous) / previous) * 100).toFixed(2))
+    : null;
+
+module.exports = {
+  INTERVALS,
+  resolveRange,
+  previousRange,
+  bucketStart,
+  buildSeries,
+  percentChange,
+};
@@ -0,0 +1,5524 @@
+const { createHash } = require("crypto");
+const express = require("express");
+const cors = require("cors");
+const { ObjectId } = require("mongodb");
+const { startOfMonth, startOfWeek } = require("date-fns");
+const { renderEmail } = require("./mailer");
+const {
+  sendError,
+  validate,
+  notFoundHandler,
+  errorHandler,
+} = require("./validation");
+const schemas = require("./schemas");
+const { createRateLimiter } = require("./rateLimit");
+const { streamExport, exportFileName } = require("./exporter");
+const { paginate, searchFilter } = require("./pagination");
+const {
+  resolveRange,
+  previousRange,
+  bucketStart,
+  buildSeries,
+  percentChange,
+} = require("./analytics");
+
+// Prize tiers: [{ placement: 1, prize: 300 }, { placement: 2, prize: 100 }]
+// Contests without tiers pay the whole prizeMoney to 1st place.
+const normalizePrizeTiers = (tiers, prizeMoney) => {
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return [{ placement: 1, prize: Number(prizeMoney) || 0 }];
+  }
+
+  const normalized = tiers
+    .map((tier) => ({
+      placement: Number(tier.placement),
+      prize: Number(tier.prize),
+    }))
+    .sort((a, b) => a.placement - b.placement);
+
+  const isValid = normalized.every(
+    (tier, index) =>
+      tier.placement === index + 1 &&
+      Number.isFinite(tier.prize) &&
+      tier.prize >= 0
+  );
+
+  return isValid ? normalized : null;
+};
+
+// Banned accounts stay blocked; suspensions lift once `until` has passed,
+// even before the background worker clears them.
+const isAccountBlocked = (user, now = new Date()) =>
+  user?.accountStatus === "Banned" ||
+  (user?.accountStatus === "Suspended" &&
+    (!user.suspension?.until || new Date(user.suspension.until) > now));
+
+// Builds the API around the services it talks to, so the same routes run
+// against Atlas + live Stripe in production and a local Mongo + stubs on a
+// laptop (see index.js).
+//   db            – a connected mongodb Db (transactions use `db.client`)
+//   stripe        – the Stripe SDK, or anything with the same surface
+//   auth          – token verifier: firebase-admin Auth or `{ verifyIdToken }`
+//   mailTransport – see ./mailer
+// Returns the Express app and `start()`, which runs migrations, ensures
+// indexes and launches the background workers; it resolves to a `stop()`.
+const createApp = ({ db, stripe, auth, mailTransport }) => {
+  const app = express();
+
+  // Behind a proxy (e.g. Vercel) req.ip must come from X-Forwarded-For, or
+  // every client shares one rate-limit bucket. TRUST_PROXY=true|false|<hops>|
+  // <list>; on Vercel (which sets VERCEL) it defaults to its one edge hop,
+  // elsewhere to no proxy, so set it behind any other load balancer.
+  const trustProxy = process.env.TRUST_PROXY || (process.env.VERCEL && "1");
+  if (trustProxy && trustProxy !== "false") {
+    app.set(
+      "trust proxy",
+      trustProxy === "true" ? true : Number(trustProxy) || trustProxy
+    );
+  }
+
+  // Middleware
+  app.use(
+    cors({
+      origin: [process.env.CLIENT_DOMAIN,"http://localhost:5173"],
+      credentials: true,
+      optionSuccessStatus: 200,
+    })
+  );
+  // Stripe webhook needs the raw body for signature verification
+  const jsonParser = express.json();
+  app.use((req, res, next) => {
+    if (req.originalUrl === "/stripe-webhook") return next();
+    jsonParser(req, res, next);
+  });
+
+  // JWT middleware
+  const verifyJWT = async (req, res, next) => {
+    const token = req?.headers?.authorization?.split(" ")[1];
+    if (!token) return sendError(res, 401, "Unauthorized Access!");
+
+    try {
+      const decoded = await auth.verifyIdToken(token);
+      req.tokenEmail = decoded.email;
+    } catch (err) {
+      return sendError(res, 401, "Unauthorized Access!");
+    }
+
+    // ID tokens outlive the refresh-token revocation by up to an hour
+    const account = await usersCollection.findOne(
+      { email: req.tokenEmail },
+      { projection: { accountStatus: 1, suspension: 1 } }
+    );
+    if (isAccountBlocked(account)) {
+      return sendError(
+        res,
+        403,
+        account.accountStatus === "Banned"
+          ? "This account has been banned."
+          : "This account is suspended.",
+        {
+          code: "ACCOUNT_SUSPENDED",
+          details: {
+            status: account.accountStatus,
+            reason: account.suspension?.reason || null,
+            until: account.suspension?.until || null,
+          },
+        }
+      );
+    }
+
+    next();
+  };
+
+  // Identifies the caller on public routes when a valid token is sent
+  const identifyUser = async (req, res, next) => {
+    const token = req?.headers?.authorization?.split(" ")[1];
+    if (token) {
+      try {
+        const decoded = await auth.verifyIdToken(token);
+        req.tokenEmail = decoded.email;
+      } catch (err) {
+        // Treated as anonymous
+      }
+    }
+    next();
+  };
+
+  const contestsCollection = db.collection("contests");
+  const ordersCollection = db.collection("orders");
+  const submissionsCollection = db.collection("submissions");
+  const usersCollection = db.collection("users");
+  const creatorRequestsCollection = db.collection("creatorRequests");
+  const contactMessagesCollection = db.collection("contacts");
+  const scoresCollection = db.collection("scores");
+  const locksCollection = db.collection("locks");
+  const notificationsCollection = db.collection("notifications");
+  const emailOutboxCollection = db.collection("emailOutbox");
+  const auditLogsCollection = db.collection("auditLogs");
+  const rateLimitsCollection = db.collection("rateLimits");
+
+  // Duplicate submissions from before the unique index are kept but flagged
+  // `superseded` by start(); only the latest one per participant counts.
+  const ACTIVE_SUBMISSION = { superseded: { $ne: true } };
+
+  // ---rate limits---
+  // Per-IP and per-user budgets for endpoints that are public or cheap to
+  // spam; see ./rateLimit for the format and env overrides.
+  const rateLimiter = createRateLimiter(rateLimitsCollection);
+  const contactLimit = rateLimiter.limit("contact", {
+    ip: "5/1h",
+    user: "3/1h",
+  });
+  const saveUserLimit = rateLimiter.limit("save-user", {
+    ip: "30/15m",
+    user: "10/15m",
+  });
+  const submitTaskLimit = rateLimiter.limit("submit-task", {
+    ip: "30/15m",
+    user: "10/15m",
+  });
+  const checkoutLimit = rateLimiter.limit("checkout", {
+    ip: "20/15m",
+    user: "10/15m",
+  });
+  const leaderboardLimit = rateLimiter.limit("leaderboard", { ip: "60/1m" });
+
+  // ---role middlewares---
+  const verifyADMIN = async (req, res, next) => {
+    const email = req.tokenEmail;
+    const user = await usersCollection.findOne({ email });
+
+    if (user?.role !== "admin") {
+      return sendError(res, 403, "Admin only Actions", {
+        details: { role: user?.role },
+      });
+    }
+    req.tokenRole = user.role;
+    next();
+  };
+
+  const verifyCREATOR = async (req, res, next) => {
+    const email = req.tokenEmail;
+    const user = await usersCollection.findOne({ email });
+
+    if (user?.role !== "contestCreator") {
+      return sendError(res, 403, "Contest Creator only Actions", {
+        details: { role: user?.role },
+      });
+    }
+    req.tokenRole = user.role;
+    next();
+  };
+
+  // Contest ownership guard for creator routes. Reads the contest id from
+  // `:contestId` or `:id`, and exposes the loaded contest as `req.contest`.
+  const verifyCONTEST_OWNER = async (req, res, next) => {
+    const contestId = req.params.contestId || req.params.id;
+
+    if (!ObjectId.isValid(contestId)) {
+      return sendError(res, 400, "Invalid Contest ID");
+    }
+
+    const contest = await contestsCollection.findOne({
+      _id: new ObjectId(contestId),
+    });
+
+    if (!contest) {
+      return sendError(res, 404, "Contest not found.");
+    }
+
+    if (contest.contestCreator?.email !== req.tokenEmail) {
+      return sendError(
+        res,
+        403,
+        "Forbidden: You are not the creator of this contest."
+      );
+    }
+
+    req.contest = contest;
+    next();
+  };
+
+  // Judges are assigned per contest, not by role. Requires an accepted
+  // invitation for the contest in `req.params.contestId`.
+  const verifyJUDGE = async (req, res, next) => {
+    const { contestId } = req.params;
+
+    if (!ObjectId.isValid(contestId)) {
+      return sendError(res, 400, "Invalid Contest ID");
+    }
+
+    const contest = await contestsCollection.findOne({
+      _id: new ObjectId(contestId),
+      judges: { $elemMatch: { email: req.tokenEmail, status: "Accepted" } },
+    });
+
+    if (!contest) {
+      return sendError(res, 403, "You are not a judge for this contest.");
+    }
+
+    req.contest = contest;
+    next();
+  };
+
+  // The contest's creator, an admin, or one of its accepted judges
+  const verifyCONTEST_STAFF = async (req, res, next) => {
+    const { contestId } = req.params;
+
+    if (!ObjectId.isValid(contestId)) {
+      return sendError(res, 400, "Invalid Contest ID");
+    }
+
+    const [contest, user] = await Promise.all([
+      contestsCollection.findOne({ _id: new ObjectId(contestId) }),
+      usersCollection.findOne(
+        { email: req.tokenEmail },
+        { projection: { role: 1 } }
+      ),
+    ]);
+
+    if (!contest) {
+      return sendError(res, 404, "Contest not found.");
+    }
+
+    const isStaff =
+      user?.role === "admin" ||
+      contest.contestCreator?.email === req.tokenEmail ||
+      (contest.judges || []).some(
+        (judge) => judge.email === req.tokenEmail && judge.status === "Accepted"
+      );
+
+    if (!isStaff) {
+      return sendError(
+        res,
+        403,
+        "Only the contest creator, its judges or an admin can view this."
+      );
+    }
+
+    if (user?.role === "admin") req.tokenRole = user.role;
+    req.contest = contest;
+    next();
+  };
+
+  // ---audit log---
+  // Append-only trail of admin and creator mutations; nothing in the API
+  // updates or deletes entries. Failures are logged, never surfaced.
+  const recordAudit = async (
+    req,
+    { action, targetType, targetId, before = null, after = null, details }
+  ) => {
+    try {
+      await auditLogsCollection.insertOne({
+        actor: req.tokenEmail,
+        actorRole: req.tokenRole || null,
+        action,
+        target: { type: targetType, id: targetId ? String(targetId) : null },
+        before,
+        after,
+        details: details || null,
+        ip: req.ip,
+        at: new Date(),
+      });
+    } catch (err) {
+      console.error(`Error writing audit log for ${action}:`, err);
+    }
+  };
+
+  // ---notifications---
+  // Best-effort: a failed insert is logged and never fails the action that
+  // triggered it.
+  const notify = async (recipients, { type, title, message, link, data }) => {
+    const emails = [...new Set([].concat(recipients).filter(Boolean))];
+    if (emails.length === 0) return;
+
+    try {
+      const createdAt = new Date();
+      await notificationsCollection.insertMany(
+        emails.map((recipient) => ({
+          recipient,
+          type,
+          title,
+          message,
+          link: link || null,
+          data: data || {},
+          isRead: false,
+          createdAt,
+        }))
+      );
+    } catch (err) {
+      console.error(`Error creating ${type} notification:`, err);
+    }
+  };
+
+  // ---email outbox---
+  // Emails are rendered and persisted first, then delivered by the outbox
+  // worker so a transport outage delays mail instead of losing it.
+  const EMAIL_MAX_ATTEMPTS = 8;
+  const EMAIL_RETRY_INTERVAL_MS = 60 * 1000;
+  const EMAIL_STALE_CLAIM_MS = 5 * 60 * 1000;
+
+  const deliverEmail = async (emailId) => {
+    const now = new Date();
+
+    const email = await emailOutboxCollection.findOneAndUpdate(
+      {
+        _id: emailId,
+        attempts: { $lt: EMAIL_MAX_ATTEMPTS },
+        $or: [
+          {
+            status: { $in: ["Pending", "Failed"] },
+            nextAttemptAt: { $lte: now },
+          },
+          {
+            status: "Sending",
+            claimedAt: {
+              $lte: new Date(now.getTime() - EMAIL_STALE_CLAIM_MS),
+            },
+          },
+        ],
+      },
+      { $set: { status: "Sending", claimedAt: now } },
+      { returnDocument: "after" }
+    );
+
+    if (!email) return;
+
+    try {
+      await mailTransport.send({
+        to: email.to,
+        subject: email.subject,
+        text: email.text,
+        html: email.html,
+      });
+
+      await emailOutboxCollection.updateOne(
+        { _id: email._id },
+        {
+          $set: { status: "Sent", sentAt: new Date() },
+          $inc: { attempts: 1 },
+        }
+      );
+    } catch (err) {
+      const attempts = email.attempts + 1;
+      console.error(`Email ${email._id} attempt ${attempts} failed:`, err);
+
+      await emailOutboxCollection.updateOne(
+        { _id: email._id },
+        {
+          $set: {
+            status: "Failed",
+            attempts,
+            lastError: err.message,
+            nextAttemptAt: new Date(Date.now() + 2 ** attempts * 60 * 1000),
+          },
+        }
+      );
+    }
+  };
+
+  const processEmailOutbox = async () => {
+    const emails = await emailOutboxCollection
+      .find({
+        status: { $in: ["Pending", "Sending", "Failed"] },
+        attempts: { $lt: EMAIL_MAX_ATTEMPTS },
+      })
+      .project({ _id: 1 })
+      .limit(100)
+      .toArray();
+
+    for (const { _id } of emails) {
+      await deliverEmail(_id);
+    }
+  };
+
+  // Best-effort like `notify`: queueing problems are logged, not thrown
+  const queueEmail = async (recipients, template, data) => {
+    const emails = [...new Set([].concat(recipients).filter(Boolean))];
+    if (emails.length === 0) return;
+
+    try {
+      const now = new Date();
+      const result = await emailOutboxCollection.insertMany(
+        emails.map((to) => ({
+          to,
+          template,
+          ...renderEmail(template, data),
+          status: "Pending",
+          attempts: 0,
+          nextAttemptAt: now,
+          createdAt: now,
+        }))
+      );
+
+      Promise.all(Object.values(result.insertedIds).map(deliverEmail)).catch(
+        (err) => console.error("Error delivering queued email:", err)
+      );
+    } catch (err) {
+      console.error(`Error queueing ${template} email:`, err);
+    }
+  };
+
+  // ---stripe fulfillment helpers---
+  // All handlers are idempotent: Stripe retries deliveries and the same
+  // event may arrive more than once.
+  // Why a paid order can no longer register anyone, or null. Checkout
+  // sessions stay open for a day, so payment can complete after the contest
+  // was cancelled, rejected or deleted, or after its deadline.
+  const registrationClosedReason = (contest) => {
+    if (!contest) return "Contest not found";
+    if (contest.status !== "Confirmed") return `Contest ${contest.status}`;
+    if (contest.deadline && new Date(contest.deadline) < new Date()) {
+      return "Contest deadline passed";
+    }
+    return null;
+  };
+
+  // Records a paid order once per `sessionId` and registers the participant.
+  // Free registrations come through here too, with no Stripe transaction.
+  // Orders for contests that closed in the meantime are refunded instead.
+  const recordRegistration = async ({
+    sessionId,
+    contestId,
+    contest,
+    participantEmail,
+    transactionId,
+    amount,
+  }) => {
+    const orderInfo = {
+      sessionId,
+      contestId,
+      transactionId,
+      participant: participantEmail,
+      status: "Paid",
+      contestCreator: contest?.contestCreator,
+      name: contest?.name,
+      category: contest?.category,
+      contestFee: amount,
+      image: contest?.image,
+      paidAt: new Date(),
+      createdAt: new Date(),
+    };
+
+    const closedReason = registrationClosedReason(contest);
+    if (closedReason) {
+      orderInfo.refund = {
+        status: "Pending",
+        reason: closedReason,
+        attempts: 0,
+        requestedAt: new Date(),
+        nextAttemptAt: new Date(),
+      };
+    }
+
+    try {
+      const result = await ordersCollection.updateOne(
+        { sessionId },
+        { $setOnInsert: orderInfo },
+        { upsert: true }
+      );
+
+      if (closedReason) {
+        if (result.upsertedCount === 1) {
+          await notify(participantEmail, {
+            type: "contest_refund",
+            title: "Registration not completed",
+            message: `"${contest?.name || "This contest"}" is no longer open for registration. Your payment is being refunded.`,
+            data: { contestId, reason: closedReason },
+          });
+        }
+
+        // Retried deliveries pick up a refund that has not gone through yet
+        const order = await ordersCollection.findOne({ sessionId });
+        processRefund(order._id).catch((err) =>
+          console.error("Error refunding late payment:", err)
+        );
+        return order;
+      }
+
+      // Runs on every delivery, so a retry after a failure further down
+      // still registers someone who paid; the filter keeps it to one seat.
+      // A refunded (or refunding) order never takes a seat back.
+      const order = await ordersCollection.findOne({ sessionId });
+      if (order.status === "Paid" && !order.refund) {
+        await contestsCollection.updateOne(
+          { _id: contest._id, participants: { $ne: participantEmail } },
+          {
+            $addToSet: { participants: participantEmail },
+            $inc: { participantsCount: 1 },
+          }
+        );
+      }
+
+      // Only the delivery that created the order notifies
+      if (result.upsertedCount === 1) {
+        await notify(participantEmail, {
+          type: "payment_confirmed",
+          title: "Registration confirmed",
+          message: transactionId
+            ? `Your payment for "${contest.name}" was received. Good luck!`
+            : `You are registered for "${contest.name}". Good luck!`,
+          link: `/contest/${contestId}`,
+          data: { contestId, transactionId },
+        });
+
+        await queueEmail(participantEmail, "paymentReceipt", {
+          contestId,
+          contestName: contest.name,
+          amount,
+          transactionId,
+        });
+
+        await awardBadges(participantEmail);
+      }
+    } catch (err) {
+      // Concurrent delivery of the same event lost the upsert race
+      if (err.code !== 11000) throw err;
+    }
+
+    return ordersCollection.findOne({ sessionId });
+  };
+
+  const fulfillCheckoutSession = async (session) => {
+    if (session.payment_status !== "paid") return null;
+
+    const contestId = session.metadata?.contestId;
+    const contest = ObjectId.isValid(contestId)
+      ? await contestsCollection.findOne({ _id: new ObjectId(contestId) })
+      : null;
+
+    return recordRegistration({
+      sessionId: session.id,
+      contestId,
+      contest,
+      participantEmail: session.metadata?.participant,
+      transactionId: session.payment_intent,
+      amount: session.amount_total / 100,
+    });
+  };
+
+  const expireCheckoutSession = async (session) => {
+    try {
+      await ordersCollection.updateOne(
+        { sessionId: session.id },
+        {
+          $setOnInsert: {
+            sessionId: session.id,
+            contestId: session.metadata?.contestId,
+            participant: session.metadata?.participant,
+            status: "Expired",
+            expiredAt: new Date(),
+            createdAt: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+    }
+  };
+
+  // ---refund subsystem---
+  // Paid orders of a cancelled contest get a `refund` sub-document that
+  // moves Pending -> Processing -> Succeeded, or Failed and retried with
+  // backoff until REFUND_MAX_ATTEMPTS is reached.
+  const REFUND_MAX_ATTEMPTS = 5;
+  const REFUND_RETRY_INTERVAL_MS = 5 * 60 * 1000;
+  const REFUND_STALE_CLAIM_MS = 10 * 60 * 1000;
+
+  const releaseParticipant = async (order) => {
+    if (!ObjectId.isValid(order.contestId)) return;
+
+    await contestsCollection.updateOne(
+      {
+        _id: new ObjectId(order.contestId),
+        participants: order.participant,
+      },
+      {
+        $pull: { participants: order.participant },
+        $inc: { participantsCount: -1 },
+      }
+    );
+  };
+
+  const markOrderRefunded = async (order, { amount, stripeRefundId }) => {
+    const refundFields = {
+      "refund.status": "Succeeded",
+      "refund.amount": amount,
+      "refund.refundedAt": new Date(),
+    };
+    if (stripeRefundId) refundFields["refund.stripeRefundId"] = stripeRefundId;
+
+    const previous = await ordersCollection.findOneAndUpdate(
+      { _id: order._id, "refund.status": { $ne: "Succeeded" } },
+      { $set: { status: "Refunded", ...refundFields } }
+    );
+
+    // Only the update that took the order out of "Paid" frees the seat
+    if (previous?.status === "Paid") await releaseParticipant(previous);
+  };
+
+  const processRefund = async (orderId) => {
+    const now = new Date();
+
+    // Claim the order so concurrent workers never refund it twice
+    const order = await ordersCollection.findOneAndUpdate(
+      {
+        _id: orderId,
+        "refund.attempts": { $lt: REFUND_MAX_ATTEMPTS },
+        $or: [
+          {
+            "refund.status": { $in: ["Pending", "Failed"] },
+            "refund.nextAttemptAt": { $lte: now },
+          },
+          {
+            "refund.status": "Processing",
+            "refund.claimedAt": {
+              $lte: new Date(now.getTime() - REFUND_STALE_CLAIM_MS),
+            },
+          },
+        ],
+      },
+      {
+        $set: { "refund.status": "Processing", "refund.claimedAt": now },
+        // Never reset (unlike `attempts`), so every request gets its own key
+        $inc: { "refund.requests": 1 },
+      },
+      { returnDocument: "after" }
+    );
+
+    if (!order) return;
+
+    // Free registrations have no charge to refund
+    if (!order.transactionId) {
+      await markOrderRefunded(order, { amount: 0 });
+      return;
+    }
+
+    try {
+      const refund = await stripe.refunds.create(
+        {
+          payment_intent: order.transactionId,
+          metadata: {
+            orderId: order._id.toString(),
+            contestId: order.contestId,
+          },
+        },
+        // Stripe replays the stored result, failures included, for a reused
+        // key; a repeat that succeeds hits `charge_already_refunded` below
+        {
+          idempotencyKey: `order-refund-${order._id}-${order.refund.requests}`,
+        }
+      );
+
+      await markOrderRefunded(order, {
+        amount: refund.amount / 100,
+        stripeRefundId: refund.id,
+      });
+    } catch (err) {
+      // Refunded outside this flow (e.g. from the Stripe dashboard)
+      if (err.code === "charge_already_refunded") {
+        await markOrderRefunded(order, { amount: order.contestFee });
+        return;
+      }
+
+      const attempts = (order.refund.attempts || 0) + 1;
+      console.error(`Refund attempt ${attempts} failed for ${orderId}:`, err);
+
+      await ordersCollection.updateOne(
+        { _id: order._id },
+        {
+          $set: {
+            "refund.status": "Failed",
+            "refund.attempts": attempts,
+            "refund.lastError": err.message,
+            "refund.nextAttemptAt": new Date(
+              Date.now() + 2 ** attempts * 60 * 1000
+            ),
+          },
+        }
+      );
+    }
+  };
+
+  const processPendingRefunds = async ({ contestId } = {}) => {
+    const query = {
+      "refund.status": { $in: ["Pending", "Processing", "Failed"] },
+      "refund.attempts": { $lt: REFUND_MAX_ATTEMPTS },
+    };
+    if (contestId) query.contestId = contestId;
+
+    const orders = await ordersCollection
+      .find(query)
+      .project({ _id: 1 })
+      .toArray();
+
+    for (const { _id } of orders) {
+      await processRefund(_id);
+    }
+  };
+
+  // Queue refunds for every paid order of a contest and start processing
+  // them in the background. Returns the number of newly queued refunds.
+  const queueContestRefunds = async (contestId, reason) => {
+    const now = new Date();
+    const result = await ordersCollection.updateMany(
+      { contestId, status: "Paid", refund: { $exists: false } },
+      {
+        $set: {
+          refund: {
+            status: "Pending",
+            reason,
+            attempts: 0,
+            requestedAt: now,
+            nextAttemptAt: now,
+          },
+        },
+      }
+    );
+
+    processPendingRefunds({ contestId }).catch((err) =>
+      console.error("Error processing contest refunds:", err)
+    );
+
+    return result.modifiedCount;
+  };
+
+  // ---contest lifecycle scheduler---
+  // Confirmed -> Closed once the deadline passes; Closed contests without a
+  // winner are flagged after a grace period (creator and admins are told)
+  // and, if enabled, contests that closed with no submissions are cancelled
+  // and refunded, with the same notices as an admin cancellation.
+  const LIFECYCLE_INTERVAL_MS =
+    Number(process.env.LIFECYCLE_INTERVAL_MS) || 60 * 1000;
+  const WINNER_GRACE_DAYS =
+    Number(process.env.WINNER_DECLARATION_GRACE_DAYS) || 7;
+  const AUTO_CANCEL_EMPTY_CONTESTS =
+    process.env.AUTO_CANCEL_EMPTY_CONTESTS === "true";
+  const instanceId = new ObjectId().toString();
+
+  // Lease-based lock so only one server instance runs a job at a time.
+  // Every transition below is also a conditional update, so a lost lease
+  // can never apply the same change twice.
+  const acquireLock = async (name, ttlMs) => {
+    const now = new Date();
+    try {
+      await locksCollection.updateOne(
+        { _id: name, lockedUntil: { $lte: now } },
+        {
+          $set: {
+            lockedUntil: new Date(now.getTime() + ttlMs),
+            owner: instanceId,
+          },
+        },
+        { upsert: true }
+      );
+      return true;
+    } catch (err) {
+      // Upsert hit the existing, still-held lock document
+      if (err.code === 11000) return false;
+      throw err;
+    }
+  };
+
+  const CONTEST_STATUS_MESSAGES = {
+    Confirmed: "has been approved and is now live",
+    Rejected: "has been rejected by an admin",
+    Cancelled: "has been cancelled by an admin",
+  };
+
+  // Tells the creator about a review or cancellation, and the participants
+  // when their fees are being refunded
+  const announceContestStatus = async (
+    contest,
+    status,
+    { reason, refundsQueued = 0, message = CONTEST_STATUS_MESSAGES[status] }
+  ) => {
+    const id = contest._id.toString();
+
+    await notify(contest.contestCreator?.email, {
+      type: `contest_${status.toLowerCase()}`,
+      title: `Contest ${status}`,
+      message: `Your contest "${contest.name}" ${message}.`,
+      link: `/contest/${id}`,
+      data: { contestId: id, status },
+    });
+
+    if (refundsQueued > 0) {
+      await notify(contest.participants, {
+        type: "contest_refund",
+        title: "Contest cancelled",
+        message: `"${contest.name}" will not take place. Your registration fee is being refunded.`,
+        link: `/contest/${id}`,
+        data: { contestId: id, status },
+      });
+    }
+
+    await queueEmail(
+      contest.contestCreator?.email,
+      `contest${status === "Confirmed" ? "Approved" : status}`,
+      { contestId: id, contestName: contest.name, reason }
+    );
+    if (refundsQueued > 0) {
+      await queueEmail(contest.participants, "contestCancelled", {
+        contestName: contest.name,
+      });
+    }
+  };
+
+  // Reminds the creator, and lets admins know, that results are overdue
+  const announceWinnerOverdue = async (contest) => {
+    const id = contest._id.toString();
+    const admins = await usersCollection
+      .find({ role: "admin" }, { projection: { email: 1 } })
+      .toArray();
+
+    await notify(contest.contestCreator?.email, {
+      type: "winner_overdue",
+      title: "Declare your winners",
+      message: `"${contest.name}" closed over ${WINNER_GRACE_DAYS} days ago and its winners have not been declared yet.`,
+      link: `/contest/${id}`,
+      data: { contestId: id },
+    });
+    await notify(
+      admins.map((admin) => admin.email),
+      {
+        type: "winner_overdue",
+        title: "Winner declaration overdue",
+        message: `"${contest.name}" by ${contest.contestCreator?.email} has had no winners declared for ${WINNER_GRACE_DAYS} days after closing.`,
+        link: `/contest/${id}`,
+        data: { contestId: id },
+      }
+    );
+  };
+
+  const runContestLifecycle = async () => {
+    if (!(await acquireLock("contest-lifecycle", LIFECYCLE_INTERVAL_MS))) {
+      return;
+    }
+
+    const now = new Date();
+
+    await contestsCollection.updateMany(
+      { status: "Confirmed", deadline: { $lte: now } },
+      { $set: { status: "Closed", closedAt: now } }
+    );
+
+    const graceCutoff = new Date(
+      now.getTime() - WINNER_GRACE_DAYS * 24 * 60 * 60 * 1000
+    );
+    const overdueFilter = {
+      status: "Closed",
+      closedAt: { $lte: graceCutoff },
+      winner: null,
+      winnerOverdueAt: { $exists: false },
+    };
+    const overdueContests = await contestsCollection
+      .find(overdueFilter)
+      .toArray();
+    for (const contest of overdueContests) {
+      const result = await contestsCollection.updateOne(
+        { _id: contest._id, ...overdueFilter },
+        { $set: { winnerOverdueAt: now } }
+      );
+      if (result.modifiedCount === 1) await announceWinnerOverdue(contest);
+    }
+
+    if (!AUTO_CANCEL_EMPTY_CONTESTS) return;
+
+    const closedContests = await contestsCollection
+      .find({ status: "Closed", winner: null })
+      .project({ _id: 1 })
+      .toArray();
+
+    for (const { _id } of closedContests) {
+      const contestId = _id.toString();
+      const submissions = await submissionsCollection.countDocuments({
+        contestId,
+        ...ACTIVE_SUBMISSION,
+      });
+      if (submissions > 0) continue;
+
+      const result = await contestsCollection.updateOne(
+        { _id, status: "Closed" },
+        {
+          $set: {
+            status: "Cancelled",
+            cancelledAt: now,
+            cancelReason: "No submissions before the deadline",
+          },
+        }
+      );
+
+      if (result.modifiedCount === 1) {
+        // Read before refunds start releasing participants
+        const contest = await contestsCollection.findOne({ _id });
+        const refundsQueued = await queueContestRefunds(
+          contestId,
+          "Contest Cancelled"
+        );
+        await announceContestStatus(contest, "Cancelled", {
+          reason: "No submissions before the deadline",
+          refundsQueued,
+          message: "was cancelled because it closed without any submissions",
+        });
+      }
+    }
+  };
+
+  const recordChargeRefund = async (charge) => {
+    const order = await ordersCollection.findOne({
+      transactionId: charge.payment_intent,
+    });
+    if (!order) return;
+
+    const amount = charge.amount_refunded / 100;
+
+    // Partial refunds are recorded but keep the participant in the contest
+    if (!charge.refunded) {
+      await ordersCollection.updateOne(
+        { _id: order._id },
+        { $set: { "refund.amount": amount } }
+      );
+      return;
+    }
+
+    await markOrderRefunded(order, { amount });
+  };
+
+  //--- API Endpoints ---//
+
+  // Stripe webhook (raw body, signed by Stripe)
+  app.post(
+    "/stripe-webhook",
+    express.raw({ type: "application/json" }),
+    async (req, res) => {
+      let event;
+      try {
+        event = stripe.webhooks.constructEvent(
+          req.body,
+          req.headers["stripe-signature"],
+          process.env.STRIPE_WEBHOOK_SECRET
+        );
+      } catch (err) {
+        console.error("Stripe webhook signature verification failed:", err);
+        return sendError(res, 400, `Webhook Error: ${err.message}`);
+      }
+
+      try {
+        switch (event.type) {
+          case "checkout.session.completed":
+            await fulfillCheckoutSession(event.data.object);
+            break;
+          case "checkout.session.expired":
+            await expireCheckoutSession(event.data.object);
+            break;
+          case "charge.refunded":
+            await recordChargeRefund(event.data.object);
+            break;
+          default:
+            break;
+        }
+
+        res.send({ received: true });
+      } catch (err) {
+        // A non-2xx response makes Stripe retry the delivery later
+        console.error(`Error handling Stripe event ${event.type}:`, err);
+        sendError(res, 500, "Webhook handler failed");
+      }
+    }
+  );
+
+  // Public contest listing with keyword search, filters and sorting
+  const PUBLIC_CONTEST_STATUSES = ["Confirmed", "Closed", "Completed"];
+  const CONTEST_SORTS = {
+    newest: { createdAt: -1 },
+    "ending-soon": { deadline: 1 },
+    "highest-prize": { prizeMoney: -1 },
+    "most-participants": { participantsCount: -1 },
+  };
+
+  app.get("/contests", validate(schemas.listContests), async (req, res) => {
+    try {
+      const {
+        type: contestType,
+        search,
+        status,
+        sort,
+        minPrize,
+        maxPrize,
+        minFee,
+        maxFee,
+        free,
+        deadlineFrom,
+        deadlineTo,
+      } = req.query;
+      const { page, limit } = req.query;
+
+      const skip = (page - 1) * limit;
+
+      const statuses = status
+        ? status.split(",").filter((s) => PUBLIC_CONTEST_STATUSES.includes(s))
+        : PUBLIC_CONTEST_STATUSES;
+
+      if (statuses.length === 0) {
+        return sendError(res, 400, "Invalid status filter.");
+      }
+
+      const query = {
+        status: { $in: statuses },
+        // Hidden while the creator is suspended or banned
+        creatorSuspended: { $ne: true },
+      };
+
+      if (contestType) {
+        query.category = { $regex: contestType, $options: "i" };
+      }
+
+      if (search) {
+        query.$text = { $search: search };
+      }
+
+      // Bounds arrive already coerced to numbers/dates by the schema
+      const range = (min, max) => {
+        const bounds = {};
+        if (min !== undefined) bounds.$gte = min;
+        if (max !== undefined) bounds.$lte = max;
+        return Object.keys(bounds).length ? bounds : null;
+      };
+
+      const prizeRange = range(minPrize, maxPrize);
+      const feeRange = free === "true" ? { $lte: 0 } : range(minFee, maxFee);
+      const deadlineRange = range(deadlineFrom, deadlineTo);
+
+      if (prizeRange) query.prizeMoney = prizeRange;
+      if (feeRange) query.contestFee = feeRange;
+      if (deadlineRange) query.deadline = deadlineRange;
+
+      // "Ending soon" only makes sense for contests that are still open
+      if (sort === "ending-soon" && !deadlineRange) {
+        query.deadline = { $gte: new Date() };
+      }
+
+      const sortBy =
+        search && (!sort || sort === "relevance")
+          ? { score: { $meta: "textScore" } }
+          : CONTEST_SORTS[sort] || CONTEST_SORTS.newest;
+
+      const totalContests = await contestsCollection.countDocuments(query);
+
+      const result = await contestsCollection
+        .find(query)
+        .sort({ ...sortBy, _id: -1 })
+        .skip(skip)
+        .limit(limit)
+        .toArray();
+
+      res.send({
+        contests: result,
+        totalContests: totalContests,
+        currentPage: page,
+        totalPages: Math.ceil(totalContests / limit),
+        limit: limit,
+      });
+    } catch (err) {
+      console.error("Error fetching contests for user view:", err);
+      sendError(res, 500, "Failed to fetch contests");
+    }
+  });
+
+  // --- ADMIN MANAGEMENT ROUTES ---
+
+  // Statuses an admin may move a contest to, by its current status
+  const STATUS_TRANSITIONS = {
+    Confirmed: ["Pending"],
+    Rejected: ["Pending"],
+    Cancelled: ["Confirmed", "Closed"],
+  };
+
+  // Who made the decision and when, per target status
+  const STATUS_STAMPS = {
+    Confirmed: ["approvedBy", "approvedAt"],
+    Rejected: ["rejectedBy", "rejectedAt"],
+    Cancelled: ["cancelledBy", "cancelledAt"],
+  };
+
+  // 2. Confirm/Approve or Reject a Contest (Admin only)
+  app.patch(
+    "/contest-status/:id",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.contestStatus),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { status } = req.body;
+
+        const before = await contestsCollection.findOne({
+          _id: new ObjectId(id),
+        });
+        if (!before) {
+          return sendError(res, 404, "Contest not found.");
+        }
+
+        const conflict = () =>
+          sendError(
+            res,
+            409,
+            `A ${before.status} contest cannot be changed to ${status}.`,
+            {
+              details: {
+                status: before.status,
+                allowedFrom: STATUS_TRANSITIONS[status],
+              },
+            }
+          );
+
+        if (!STATUS_TRANSITIONS[status].includes(before.status)) {
+          return conflict();
+        }
+
+        const [byField, atField] = STATUS_STAMPS[status];
+        const result = await contestsCollection.updateOne(
+          // Conditional on the status we checked, so concurrent reviews
+          // cannot both apply
+          { _id: before._id, status: before.status },
+          {
+            $set: {
+              status,
+              [byField]: req.tokenEmail,
+              [atField]: new Date(),
+            },
+          }
+        );
+
+        if (result.matchedCount === 0) {
+          return conflict();
+        }
+
+        // Participants of a rejected/cancelled contest get their fee back
+        let refundsQueued = 0;
+        if (status !== "Confirmed") {
+          refundsQueued = await queueContestRefunds(id, `Contest ${status}`);
+        }
+
+        const contest = await contestsCollection.findOne({
+          _id: new ObjectId(id),
+        });
+        await recordAudit(req, {
+          action: "contest.status_update",
+          targetType: "contest",
+          targetId: id,
+          before,
+          after: contest,
+          details: { status, refundsQueued },
+        });
+
+        await announceContestStatus(contest, status, {
+          reason: req.body.reason,
+          refundsQueued,
+        });
+
+        res.send({
+          message: `Contest status updated to ${status} successfully!`,
+          result,
+          refundsQueued,
+        });
+      } catch (err) {
+        console.error("Error updating contest status:", err);
+        sendError(res, 500, "Failed to update contest status");
+      }
+    }
+  );
+
+  // 3. Delete Contest by ID (Admin only - for PERMANENT DELETION)
+  app.delete(
+    "/contests-delete/:id",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.deleteContest),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+
+        const deleted = await contestsCollection.findOneAndDelete({
+          _id: new ObjectId(id),
+        });
+
+        if (!deleted) return sendError(res, 404, "Contest not found");
+
+        // Orders are kept so refunds stay traceable after deletion
+        const refundsQueued = await queueContestRefunds(id, "Contest deleted");
+
+        await recordAudit(req, {
+          action: "contest.delete",
+          targetType: "contest",
+          targetId: id,
+          before: deleted,
+          details: { refundsQueued },
+        });
+
+        // Optional: Delete related submissions
+        // await submissionsCollection.deleteMany({ contestId: id });
+
+        res.send({ message: "Contest deleted successfully", refundsQueued });
+      } catch (err) {
+        sendError(res, 500, "Failed to delete contest");
+      }
+    }
+  );
+
+  //  GET All Contests for Admin (ManageContests.jsx)
+  app.get(
+    "/all-contests-admin",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.listAdminContests),
+    async (req, res) => {
+      try {
+        const { search, status, category, sort, limit, cursor } = req.query;
+
+        // Admin সব Contest দেখতে পাবে
+        const filter = searchFilter(search, [
+          "name",
+          "contestCreator.email",
+          "contestCreator.name",
+        ]);
+        if (status) filter.status = status;
+        if (category) filter.category = category;
+
+        const { items, ...page } = await paginate(contestsCollection, {
+          filter,
+          sort,
+          limit,
+          cursor,
+        });
+
+        res.status(200).send({ contests: items, ...page });
+      } catch (err) {
+        console.error("Error fetching all contests for admin:", err);
+        sendError(res, 500, "Failed to fetch contests for admin.");
+      }
+    }
+  );
+
+  // --- ADMIN CONTACT INBOX ---
+  // Messages start unread in the inbox; admins can archive them, assign them
+  // to one admin and reply. Replies are emailed and kept in `replies`.
+  const contactInboxQuery = (folder, adminEmail, { unread, assignedTo }) => {
+    const query = {};
+    if (folder === "inbox") query.isArchived = { $ne: true };
+    if (folder === "archived") query.isArchived = true;
+    if (unread === "true") query.isRead = false;
+    if (unread === "false") query.isRead = true;
+    if (assignedTo === "me") query.assignedTo = adminEmail;
+    else if (assignedTo === "unassigned") query.assignedTo = null;
+    else if (assignedTo) query.assignedTo = assignedTo;
+    return query;
+  };
+
+  app.get(
+    "/contact-message",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.listContactMessages),
+    async (req, res) => {
+      try {
+        const { folder, search, sort, limit, cursor } = req.query;
+        const filter = {
+          ...contactInboxQuery(folder, req.tokenEmail, req.query),
+          ...searchFilter(search, ["name", "email"]),
+        };
+
+        const unreadCount = await contactMessagesCollection.countDocuments({
+          ...contactInboxQuery(folder, req.tokenEmail, {}),
+          isRead: false,
+        });
+        const { items, ...page } = await paginate(contactMessagesCollection, {
+          filter,
+          sort,
+          limit,
+          cursor,
+        });
+
+        res.status(200).send({ messages: items, unreadCount, ...page });
+      } catch (error) {
+        console.error("Error fetching contact messages for admin:", error);
+        sendError(res, 500, "Failed to fetch messages.");
+      }
+    }
+  );
+
+  // Inbox badge counts
+  app.get(
+    "/contact-message/unread-count",
+    verifyJWT,
+    verifyADMIN,
+    async (req, res) => {
+      try {
+        const unread = { isArchived: { $ne: true }, isRead: false };
+        const count = await contactMessagesCollection.countDocuments(unread);
+        const assignedToMe = await contactMessagesCollection.countDocuments({
+          ...unread,
+          assignedTo: req.tokenEmail,
+        });
+        res.send({ count, assignedToMe });
+      } catch (err) {
+        console.error("Error counting unread contact messages:", err);
+        sendError(res, 500, "Failed to count messages.");
+      }
+    }
+  );
+
+  // Single message with its reply thread
+  app.get(
+    "/contact-message/:id",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.contactMessage),
+    async (req, res) => {
+      try {
+        const message = await contactMessagesCollection.findOne({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!message) return sendError(res, 404, "Message not found.");
+
+        res.send(message);
+      } catch (err) {
+        console.error("Error fetching contact message:", err);
+        sendError(res, 500, "Failed to fetch message.");
+      }
+    }
+  );
+
+  // Mark read or unread
+  app.patch(
+    "/contact-message/:id/read",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.markContactMessage),
+    async (req, res) => {
+      try {
+        const { isRead } = req.body;
+
+        const message = await contactMessagesCollection.findOneAndUpdate(
+          { _id: new ObjectId(req.params.id) },
+          { $set: { isRead, readAt: isRead ? new Date() : null } },
+          { returnDocument: "after" }
+        );
+        if (!message) return sendError(res, 404, "Message not found.");
+
+        res.send(message);
+      } catch (err) {
+        console.error("Error updating contact message read state:", err);
+        sendError(res, 500, "Failed to update message.");
+      }
+    }
+  );
+
+  // Archive or restore to the inbox
+  app.patch(
+    "/contact-message/:id/archive",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.archiveContactMessage),
+    async (req, res) => {
+      try {
+        const { archived } = req.body;
+
+        const message = await contactMessagesCollection.findOneAndUpdate(
+          { _id: new ObjectId(req.params.id) },
+          {
+            $set: {
+              isArchived: archived,
+              archivedAt: archived ? new Date() : null,
+              archivedBy: archived ? req.tokenEmail : null,
+            },
+          },
+          { returnDocument: "after" }
+        );
+        if (!message) return sendError(res, 404, "Message not found.");
+
+        await recordAudit(req, {
+          action: archived ? "contact.archive" : "contact.unarchive",
+          targetType: "contactMessage",
+          targetId: message._id,
+        });
+
+        res.send(message);
+      } catch (err) {
+        console.error("Error archiving contact message:", err);
+        sendError(res, 500, "Failed to update message.");
+      }
+    }
+  );
+
+  // Assign to an admin (null unassigns)
+  app.patch(
+    "/contact-message/:id/assign",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.assignContactMessage),
+    async (req, res) => {
+      try {
+        const { assignee } = req.body;
+
+        if (assignee) {
+          const assigneeUser = await usersCollection.findOne({
+            email: assignee,
+          });
+          if (assigneeUser?.role !== "admin") {
+            return sendError(
+              res,
+              400,
+              "Messages can only be assigned to admins."
+            );
+          }
+        }
+
+        const message = await contactMessagesCollection.findOneAndUpdate(
+          { _id: new ObjectId(req.params.id) },
+          {
+            $set: {
+              assignedTo: assignee,
+              assignedAt: assignee ? new Date() : null,
+              assignedBy: assignee ? req.tokenEmail : null,
+            },
+          },
+          { returnDocument: "after" }
+        );
+        if (!message) return sendError(res, 404, "Message not found.");
+
+        await recordAudit(req, {
+          action: "contact.assign",
+          targetType: "contactMessage",
+          targetId: message._id,
+          after: { assignedTo: assignee },
+        });
+
+        if (assignee && assignee !== req.tokenEmail) {
+          await notify(assignee, {
+            type: "contact_assigned",
+            title: "Contact message assigned to you",
+            message: `${req.tokenEmail} assigned you the message from ${message.name}.`,
+            data: { messageId: message._id.toString() },
+          });
+        }
+
+        res.send(message);
+      } catch (err) {
+        console.error("Error assigning contact message:", err);
+        sendError(res, 500, "Failed to assign message.");
+      }
+    }
+  );
+
+  // Reply to the sender; the reply is emailed and appended to the thread
+  app.post(
+    "/contact-message/:id/replies",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.replyContactMessage),
+    async (req, res) => {
+      try {
+        const reply = {
+          _id: new ObjectId(),
+          from: req.tokenEmail,
+          message: req.body.message,
+          sentAt: new Date(),
+        };
+
+        const message = await contactMessagesCollection.findOneAndUpdate(
+          { _id: new ObjectId(req.params.id) },
+          {
+            $push: { replies: reply },
+            $set: { isRead: true, lastRepliedAt: reply.sentAt },
+          },
+          { returnDocument: "after" }
+        );
+        if (!message) return sendError(res, 404, "Message not found.");
+
+        await queueEmail(message.email, "contactReply", {
+          reply: reply.message,
+        });
+
+        await recordAudit(req, {
+          action: "contact.reply",
+          targetType: "contactMessage",
+          targetId: message._id,
+          details: { replyId: reply._id.toString() },
+        });
+
+        res.status(201).send(message);
+      } catch (err) {
+        console.error("Error replying to contact message:", err);
+        sendError(res, 500, "Failed to send reply.");
+      }
+    }
+  );
+
+  app.delete(
+    "/contact-message/:id",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.contactMessage),
+    async (req, res) => {
+      try {
+        const deleted = await contactMessagesCollection.findOneAndDelete({
+          _id: new ObjectId(req.params.id),
+        });
+        if (!deleted) return sendError(res, 404, "Message not found.");
+
+        await recordAudit(req, {
+          action: "contact.delete",
+          targetType: "contactMessage",
+          targetId: deleted._id,
+          before: deleted,
+        });
+
+        res.send({ message: "Message deleted", deletedId: deleted._id });
+      } catch (err) {
+        console.error("Error deleting contact message:", err);
+        sendError(res, 500, "Failed to delete message.");
+      }
+    }
+  );
+
+  // --- END ADMIN CONTACT INBOX ---
+
+  // Refunds waiting to be issued or that failed (Admin only)
+  app.get(
+    "/admin-refunds",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.listRefunds),
+    async (req, res) => {
+      try {
+        const { status } = req.query;
+        const statuses = status
+          ? [status]
+          : ["Pending", "Processing", "Failed"];
+
+        const refunds = await ordersCollection
+          .find({ "refund.status": { $in: statuses } })
+          .project({
+            contestId: 1,
+            name: 1,
+            participant: 1,
+            transactionId: 1,
+            contestFee: 1,
+            status: 1,
+            refund: 1,
+          })
+          .sort({ "refund.requestedAt": -1 })
+          .toArray();
+
+        res.send(
+          refunds.map((order) => ({
+            ...order,
+            exhausted:
+              order.refund.status === "Failed" &&
+              order.refund.attempts >= REFUND_MAX_ATTEMPTS,
+          }))
+        );
+      } catch (err) {
+        console.error("Error fetching refunds for admin:", err);
+        sendError(res, 500, "Failed to fetch refunds.");
+      }
+    }
+  );
+
+  // Manually retry a failed refund (Admin only)
+  app.post(
+    "/admin-refunds/:orderId/retry",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.retryRefund),
+    async (req, res) => {
+      try {
+        const { orderId } = req.params;
+
+        const before = await ordersCollection.findOneAndUpdate(
+          { _id: new ObjectId(orderId), "refund.status": "Failed" },
+          {
+            $set: {
+              "refund.status": "Pending",
+              "refund.attempts": 0,
+              "refund.nextAttemptAt": new Date(),
+            },
+          }
+        );
+
+        if (!before) {
+          return sendError(res, 404, "No failed refund found for this order.");
+        }
+
+        await processRefund(new ObjectId(orderId));
+        const order = await ordersCollection.findOne({
+          _id: new ObjectId(orderId),
+        });
+
+        await recordAudit(req, {
+          action: "refund.retry",
+          targetType: "order",
+          targetId: orderId,
+          before: { refund: before.refund },
+          after: { refund: order.refund },
+        });
+
+        res.send({ message: "Refund retried", refund: order.refund });
+      } catch (err) {
+        console.error("Error retrying refund:", err);
+        sendError(res, 500, "Failed to retry refund");
+      }
+    }
+  );
+
+  // Live contests with edits waiting for re-approval (Admin only)
+  app.get("/contest-revisions", verifyJWT, verifyADMIN, async (req, res) => {
+    try {
+      const contests = await contestsCollection
+        .find({ status: "Confirmed", pendingRevision: { $exists: true } })
+        .sort({ "pendingRevision.submittedAt": 1 })
+        .toArray();
+
+      res.send(contests);
+    } catch (err) {
+      console.error("Error fetching contest revisions:", err);
+      sendError(res, 500, "Failed to fetch contest revisions.");
+    }
+  });
+
+  // Approve or reject a live contest's pending edits (Admin only)
+  app.patch(
+    "/contest-revision/:id",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.contestRevision),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { status, note } = req.body;
+
+        // Changes only apply while the contest is open; a closed, cancelled
+        // or completed contest must not get e.g. a new deadline
+        const contest = await contestsCollection.findOne({
+          _id: new ObjectId(id),
+          status: "Confirmed",
+          pendingRevision: { $exists: true },
+        });
+
+        if (!contest) {
+          return sendError(
+            res,
+            404,
+            "No pending changes for an open contest with this ID."
+          );
+        }
+
+        const { changes } = contest.pendingRevision;
+
+        // Someone may have paid since the edit was submitted
+        const changesPricing = PRICING_FIELDS.some(
+          (field) =>
+            changes[field] !== undefined &&
+            JSON.stringify(changes[field]) !== JSON.stringify(contest[field])
+        );
+        if (status === "Approved" && changesPricing) {
+          const paidOrders = await ordersCollection.countDocuments({
+            contestId: id,
+            status: "Paid",
+          });
+          if (paidOrders > 0) {
+            return sendError(
+              res,
+              409,
+              "Fee and prize cannot change after participants have paid."
+            );
+          }
+        }
+        const lastRevision = {
+          ...contest.pendingRevision,
+          status,
+          note: note || null,
+          decidedBy: req.tokenEmail,
+          decidedAt: new Date(),
+        };
+
+        // Guard on the same revision so a newer submission is not lost, and
+        // on the status in case the contest closed meanwhile
+        const result = await contestsCollection.updateOne(
+          {
+            _id: contest._id,
+            status: "Confirmed",
+            "pendingRevision.submittedAt": contest.pendingRevision.submittedAt,
+          },
+          {
+            $set: {
+              ...(status === "Approved" ? changes : {}),
+              lastRevision,
+            },
+            $unset: { pendingRevision: "" },
+          }
+        );
+
+        if (result.modifiedCount === 0) {
+          return sendError(
+            res,
+            409,
+            "The contest or its pending changes changed in the meantime."
+          );
+        }
+
+        await recordAudit(req, {
+          action: "contest.revision_decide",
+          targetType: "contest",
+          targetId: id,
+          before: contest,
+          after: await contestsCollection.findOne({ _id: contest._id }),
+          details: { status, note },
+        });
+
+        await notify(contest.contestCreator?.email, {
+          type: `contest_revision_${status.toLowerCase()}`,
+          title: `Contest changes ${status.toLowerCase()}`,
+          message:
+            status === "Approved"
+              ? `Your changes to "${contest.name}" are now live.`
+              : `Your changes to "${contest.name}" were rejected.${
+                  note ? ` Reviewer notes: ${note}` : ""
+                }`,
+          link: `/contest/${id}`,
+          data: { contestId: id, status },
+        });
+
+        res.send({
+          message: `Contest changes ${status.toLowerCase()}.`,
+          result,
+        });
+      } catch (err) {
+        console.error("Error deciding contest revision:", err);
+        sendError(res, 500, "Failed to update contest revision");
+      }
+    }
+  );
+
+  // Search the audit log (Admin only)
+  app.get(
+    "/audit-logs",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.auditLogs),
+    async (req, res) => {
+      try {
+        const { actor, action, targetType, targetId, from, to } = req.query;
+        const { page, limit } = req.query;
+
+        const query = {};
+        if (actor) query.actor = actor;
+        if (action) query.action = action;
+        if (targetType) query["target.type"] = targetType;
+        if (targetId) query["target.id"] = targetId;
+        if (from || to) {
+          query.at = {};
+          if (from) query.at.$gte = new Date(from);
+          if (to) query.at.$lte = new Date(to);
+        }
+
+        const total = await auditLogsCollection.countDocuments(query);
+        const logs = await auditLogsCollection
+          .find(query)
+          .sort({ at: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .toArray();
+
+        res.send({
+          logs,
+          total,
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          limit,
+        });
+      } catch (err) {
+        console.error("Error fetching audit logs:", err);
+        sendError(res, 500, "Failed to fetch audit logs.");
+      }
+    }
+  );
+
+  // Clients currently over a rate limit
+  app.get(
+    "/admin-rate-limits",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.throttledClients),
+    async (req, res) => {
+      try {
+        const throttled = await rateLimiter.listThrottled(req.query);
+        res.send({ throttled, total: throttled.length });
+      } catch (err) {
+        console.error("Error fetching throttled clients:", err);
+        sendError(res, 500, "Failed to fetch throttled clients.");
+      }
+    }
+  );
+
+  // Admin exports (CSV or JSON, streamed)
+  app.get(
+    "/admin-export/users",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.adminUsersExport),
+    async (req, res) => {
+      const { format, role } = req.query;
+      const cursor = usersCollection
+        .find(role ? { role } : {})
+        .sort({ created_at: 1 });
+
+      await streamExport(res, {
+        cursor,
+        format,
+        fileName: exportFileName("users"),
+        columns: [
+          { key: "email", value: (user) => user.email },
+          { key: "name", value: (user) => user.name },
+          { key: "role", value: (user) => user.role },
+          { key: "createdAt", value: (user) => user.created_at },
+          { key: "lastLoggedIn", value: (user) => user.lastLoggedIn },
+        ],
+      });
+    }
+  );
+
+  app.get(
+    "/admin-export/orders",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.adminOrdersExport),
+    async (req, res) => {
+      const { format, status, from, to } = req.query;
+      const query = {};
+      if (status) query.status = status;
+      if (from || to) {
+        query.createdAt = {};
+        if (from) query.createdAt.$gte = from;
+        if (to) query.createdAt.$lte = to;
+      }
+      const cursor = ordersCollection.find(query).sort({ createdAt: 1 });
+
+      await streamExport(res, {
+        cursor,
+        format,
+        fileName: exportFileName("orders"),
+        columns: [
+          { key: "orderId", value: (order) => order._id },
+          { key: "contestId", value: (order) => order.contestId },
+          { key: "contestName", value: (order) => order.name },
+          { key: "category", value: (order) => order.category },
+          { key: "participant", value: (order) => order.participant },
+          {
+            key: "creatorEmail",
+            value: (order) => order.contestCreator?.email,
+          },
+          { key: "status", value: (order) => order.status },
+          { key: "amount", value: (order) => order.contestFee },
+          { key: "transactionId", value: (order) => order.transactionId },
+          { key: "createdAt", value: (order) => order.createdAt },
+          { key: "paidAt", value: (order) => order.paidAt },
+          { key: "refundStatus", value: (order) => order.refund?.status },
+          { key: "refundedAmount", value: (order) => order.refund?.amount },
+        ],
+      });
+    }
+  );
+
+  app.get(
+    "/admin-export/contests",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.adminContestsExport),
+    async (req, res) => {
+      const { format, status } = req.query;
+      const cursor = contestsCollection
+        .find(status ? { status } : {})
+        .sort({ createdAt: 1 });
+
+      await streamExport(res, {
+        cursor,
+        format,
+        fileName: exportFileName("contests"),
+        columns: [
+          { key: "contestId", value: (contest) => contest._id },
+          { key: "name", value: (contest) => contest.name },
+          { key: "category", value: (contest) => contest.category },
+          { key: "status", value: (contest) => contest.status },
+          {
+            key: "creatorEmail",
+            value: (contest) => contest.contestCreator?.email,
+          },
+          { key: "contestFee", value: (contest) => contest.contestFee },
+          { key: "prizeMoney", value: (contest) => contest.prizeMoney },
+          {
+            key: "participants",
+            value: (contest) =>
+              contest.participantsCount ?? contest.participants?.length ?? 0,
+          },
+          { key: "deadline", value: (contest) => contest.deadline },
+          { key: "createdAt", value: (contest) => contest.createdAt },
+          {
+            key: "winners",
+            value: (contest) =>
+              (contest.winners || (contest.winner ? [contest.winner] : []))
+                .map((winner) => winner.email)
+                .join(" "),
+          },
+        ],
+      });
+    }
+  );
+
+  // --- END ADMIN MANAGEMENT ROUTES ---
+
+  // Get single contest with ID validation
+  app.get("/contest/:id", validate(schemas.getContest), async (req, res) => {
+    try {
+      const id = req.params.id;
+
+      const result = await contestsCollection.findOne({
+        _id: new ObjectId(id),
+      });
+
+      if (!result) return sendError(res, 404, "Contest not found");
+
+      if (result.deadline && result.deadline instanceof Date) {
+        result.deadline = result.deadline.toISOString();
+      }
+
+      res.send(result);
+    } catch (err) {
+      console.error(
+        "Error fetching contest details for ID:",
+        req.params.id,
+        "Error:",
+        err
+      );
+      sendError(res, 500, "Failed to fetch contest");
+    }
+  });
+
+  // Create contest (Contest Creator only)
+  app.post(
+    "/contests",
+    verifyJWT,
+    verifyCREATOR,
+    validate(schemas.createContest),
+    async (req, res) => {
+      try {
+        const data = req.body;
+
+        const prizeTiers = normalizePrizeTiers(
+          data.prizeTiers,
+          data.prizeMoney
+        );
+        if (!prizeTiers) {
+          return sendError(
+            res,
+            400,
+            "Prize tiers must be numbered 1, 2, 3... with non-negative prizes."
+          );
+        }
+
+        const doc = {
+          image: data.image,
+          name: data.name,
+          description: data.description,
+          status: "Pending",
+          participantsCount: 0,
+          prizeMoney: prizeTiers.reduce((sum, tier) => sum + tier.prize, 0),
+          prizeTiers,
+          contestFee: Number(data.contestFee) || 0,
+          category: data.category,
+          // The owner is always the authenticated creator
+          contestCreator: { ...data.contestCreator, email: req.tokenEmail },
+          participants: [],
+          deadline: data.deadline ? new Date(data.deadline) : null,
+          taskInstruction: data.taskInstruction || "",
+          createdAt: new Date(),
+        };
+        const result = await contestsCollection.insertOne(doc);
+
+        await recordAudit(req, {
+          action: "contest.create",
+          targetType: "contest",
+          targetId: result.insertedId,
+          after: doc,
+        });
+
+        res.send(result);
+      } catch (err) {
+        sendError(res, 500, "Failed to create contest");
+      }
+    }
+  );
+
+  //  my-inventory for contest creator (used in front-end)
+  // (`:email` is accepted for older clients but ignored)
+  app.get(
+    "/my-inventory{/:email}",
+    verifyJWT,
+    verifyCREATOR,
+    async (req, res) => {
+      try {
+        const email = req.tokenEmail;
+
+        const result = await contestsCollection
+          .find({
+            "contestCreator.email": email,
+          })
+          .toArray();
+        res.send(result);
+      } catch (err) {
+        console.error("Error fetching creator inventory:", err);
+        sendError(res, 500, "Failed to fetch inventory");
+      }
+    }
+  );
+
+  // Fields a creator may change; everything else (status, participants,
+  // winner, contestCreator...) is owned by the server.
+  const EDITABLE_CONTEST_FIELDS = [
+    "image",
+    "name",
+    "description",
+    "category",
+    "deadline",
+    "taskInstruction",
+    "contestFee",
+    "prizeMoney",
+    "prizeTiers",
+  ];
+  const PRICING_FIELDS = ["contestFee", "prizeMoney", "prizeTiers"];
+
+  // Update contest. Pending contests change immediately; edits to a live
+  // (Confirmed) contest wait in `pendingRevision` for admin re-approval.
+  app.put(
+    "/contests-update/:id",
+    verifyJWT,
+    verifyCREATOR,
+    validate(schemas.updateContest),
+    verifyCONTEST_OWNER,
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const contest = req.contest;
+
+        if (!["Pending", "Confirmed"].includes(contest.status)) {
+          return sendError(
+            res,
+            400,
+            `A ${contest.status} contest can no longer be edited.`
+          );
+        }
+
+        const updatedData = {};
+        for (const field of EDITABLE_CONTEST_FIELDS) {
+          if (req.body[field] !== undefined) {
+            updatedData[field] = req.body[field];
+          }
+        }
+
+        // Keep the prize pool in sync with the placement tiers
+        if (updatedData.prizeTiers) {
+          const prizeTiers = normalizePrizeTiers(updatedData.prizeTiers);
+          if (!prizeTiers) {
+            return sendError(res, 400, "Invalid prize tiers provided");
+          }
+          updatedData.prizeTiers = prizeTiers;
+          updatedData.prizeMoney = prizeTiers.reduce(
+            (sum, tier) => sum + tier.prize,
+            0
+          );
+        } else if (updatedData.prizeMoney !== undefined) {
+          if ((contest.prizeTiers || []).length > 1) {
+            return sendError(
+              res,
+              400,
+              "Update prizeTiers to change a split prize pool."
+            );
+          }
+          updatedData.prizeTiers = normalizePrizeTiers(
+            null,
+            updatedData.prizeMoney
+          );
+          updatedData.prizeMoney = updatedData.prizeTiers[0].prize;
+        }
+
+        const changedPricing = PRICING_FIELDS.filter(
+          (field) =>
+            updatedData[field] !== undefined &&
+            JSON.stringify(updatedData[field]) !==
+              JSON.stringify(contest[field])
+        );
+
+        if (changedPricing.length > 0) {
+          const paidOrders = await ordersCollection.countDocuments({
+            contestId: id,
+            status: "Paid",
+          });
+          if (paidOrders > 0) {
+            return sendError(
+              res,
+              409,
+              "Fee and prize cannot change after participants have paid.",
+              { details: { fields: changedPricing } }
+            );
+          }
+        }
+
+        if (Object.keys(updatedData).length === 0) {
+          return sendError(res, 400, "No editable fields provided");
+        }
+
+        if (contest.status === "Confirmed") {
+          const pendingRevision = {
+            changes: updatedData,
+            submittedAt: new Date(),
+          };
+
+          const result = await contestsCollection.updateOne(
+            { _id: contest._id },
+            { $set: { pendingRevision } }
+          );
+
+          await recordAudit(req, {
+            action: "contest.revision_submit",
+            targetType: "contest",
+            targetId: id,
+            before: { pendingRevision: contest.pendingRevision || null },
+            after: { pendingRevision },
+          });
+
+          return res.status(202).send({
+            message:
+              "Changes submitted for review. The live contest stays unchanged until an admin approves them.",
+            result,
+          });
+        }
+
+        const result = await contestsCollection.updateOne(
+          { _id: contest._id },
+          { $set: updatedData }
+        );
+
+        await recordAudit(req, {
+          action: "contest.update",
+          targetType: "contest",
+          targetId: id,
+          before: contest,
+          after: await contestsCollection.findOne({ _id: contest._id }),
+        });
+
+        res.send({ message: "Contest updated successfully!", result });
+      } catch (err) {
+        sendError(res, 500, "Failed to update contest");
+      }
+    }
+  );
+
+  // Declare Contest Winners (ordered: index 0 is 1st place)
+  app.patch(
+    "/contests/winner/:contestId",
+    verifyJWT,
+    verifyCREATOR,
+    validate(schemas.declareWinners),
+    verifyCONTEST_OWNER,
+    async (req, res) => {
+      try {
+        const { contestId } = req.params;
+
+        // Older clients send a single { submissionId, winnerName, ... }
+        const ranked = Array.isArray(req.body.winners)
+          ? req.body.winners
+          : [{ submissionId: req.body.submissionId }];
+        const submissionIds = ranked.map((entry) =>
+          typeof entry === "string" ? entry : entry?.submissionId
+        );
+
+        if (
+          submissionIds.length === 0 ||
+          !submissionIds.every((id) => ObjectId.isValid(id)) ||
+          new Set(submissionIds).size !== submissionIds.length
+        ) {
+          return sendError(res, 400, "Provide distinct, valid submission IDs.");
+        }
+
+        const contest = req.contest;
+
+        // Check if Already Winner Declared
+        if (contest.winner) {
+          return sendError(
+            res,
+            400,
+            "Winner has already been declared for this contest."
+          );
+        }
+
+        // Ensure the contest is Confirmed (or Closed at its deadline)
+        if (!["Confirmed", "Closed"].includes(contest.status)) {
+          return sendError(
+            res,
+            400,
+            "Contest must be Confirmed or Closed to declare a winner."
+          );
+        }
+
+        const prizeTiers =
+          contest.prizeTiers || normalizePrizeTiers(null, contest.prizeMoney);
+
+        if (submissionIds.length > prizeTiers.length) {
+          return sendError(
+            res,
+            400,
+            `This contest only awards ${prizeTiers.length} placement(s).`
+          );
+        }
+
+        const submissions = await submissionsCollection
+          .find({
+            _id: { $in: submissionIds.map((id) => new ObjectId(id)) },
+            contestId,
+            ...ACTIVE_SUBMISSION,
+          })
+          .toArray();
+
+        if (submissions.length !== submissionIds.length) {
+          return sendError(
+            res,
+            400,
+            "Every winner must be a submission of this contest."
+          );
+        }
+
+        const declaredAt = new Date();
+        const winners = submissionIds.map((id, index) => {
+          const submission = submissions.find(
+            (item) => item._id.toString() === id
+          );
+          return {
+            placement: prizeTiers[index].placement,
+            prize: prizeTiers[index].prize,
+            name: submission.name,
+            email: submission.email,
+            photo: submission.photo,
+            submissionId: id,
+            declaredAt,
+          };
+        });
+
+        if (new Set(winners.map((w) => w.email)).size !== winners.length) {
+          return sendError(
+            res,
+            400,
+            "A participant can only take one placement."
+          );
+        }
+
+        // `winner` (1st place) is kept for routes and clients that predate
+        // placements
+        const updateDoc = {
+          $set: {
+            winners,
+            winner: winners[0],
+            status: "Completed",
+          },
+        };
+
+        const result = await contestsCollection.updateOne(
+          { _id: new ObjectId(contestId), winner: null },
+          updateDoc
+        );
+
+        if (result.matchedCount === 0) {
+          return sendError(
+            res,
+            409,
+            "Winner has already been declared for this contest."
+          );
+        }
+
+        await submissionsCollection.bulkWrite(
+          winners.map((winner) => ({
+            updateOne: {
+              filter: { _id: new ObjectId(winner.submissionId) },
+              update: {
+                $set: {
+                  status: "Winner",
+                  placement: winner.placement,
+                  prize: winner.prize,
+                },
+              },
+            },
+          }))
+        );
+
+        await recordAudit(req, {
+          action: "contest.declare_winners",
+          targetType: "contest",
+          targetId: contestId,
+          before: { status: contest.status, winners: null },
+          after: { status: "Completed", winners },
+        });
+
+        const winnerEmails = winners.map((winner) => winner.email);
+        await notify(winnerEmails, {
+          type: "winner_declared",
+          title: "You placed in a contest!",
+          message: `Congratulations! You placed in "${contest.name}".`,
+          link: `/contest/${contestId}`,
+          data: { contestId },
+        });
+        await notify(
+          (contest.participants || []).filter(
+            (email) => !winnerEmails.includes(email)
+          ),
+          {
+            type: "results_published",
+            title: "Contest results are out",
+            message: `Winners have been declared for "${contest.name}".`,
+            link: `/contest/${contestId}`,
+            data: { contestId },
+          }
+        );
+
+        for (const winner of winners) {
+          await queueEmail(winner.email, "winnerDeclared", {
+            contestId,
+            contestName: contest.name,
+            placement: winner.placement,
+            prize: winner.prize,
+          });
+        }
+
+        for (const email of winnerEmails) {
+          await awardBadges(email);
+        }
+
+        res.send({
+          message: "Winner declared successfully!",
+          result,
+          winners,
+        });
+      } catch (err) {
+        console.error("Error declaring winner:", err);
+        sendError(res, 500, "Failed to declare winner");
+      }
+    }
+  );
+
+  // Contest Creator Delete Contest (Only if contest is Pending)
+  app.delete(
+    "/creator-contests-delete/:id",
+    verifyJWT,
+    verifyCREATOR,
+    validate(schemas.creatorDeleteContest),
+    verifyCONTEST_OWNER,
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const contest = req.contest;
+
+        // 💡 1. Ensure the contest is Pending
+        if (contest.status !== "Pending") {
+          return sendError(
+            res,
+            403,
+            "Contests can only be deleted if the status is Pending."
+          );
+        }
+
+        // 💡 2. Proceed with deletion
+        const result = await contestsCollection.deleteOne({
+          _id: new ObjectId(id),
+        });
+
+        if (result.deletedCount === 0)
+          return sendError(res, 404, "Contest not found during deletion");
+
+        await recordAudit(req, {
+          action: "contest.delete",
+          targetType: "contest",
+          targetId: id,
+          before: contest,
+        });
+
+        res.send({ message: "Contest deleted successfully by creator" });
+      } catch (err) {
+        console.error("Error deleting contest by creator:", err);
+        sendError(res, 500, "Failed to delete contest by creator");
+      }
+    }
+  );
+
+  // Submit task (registered participants only, one submission each)
+  app.post(
+    "/submit-task",
+    verifyJWT,
+    submitTaskLimit,
+    validate(schemas.submitTask),
+    async (req, res) => {
+      try {
+        const { contestId, task } = req.body;
+        const email = req.tokenEmail;
+
+        const contest = await contestsCollection.findOne({
+          _id: new ObjectId(contestId),
+        });
+
+        if (!contest) {
+          return sendError(res, 404, "Contest not found.");
+        }
+
+        if (contest.status !== "Confirmed") {
+          return sendError(res, 400, "Contest is not accepting submissions.");
+        }
+
+        if (contest.deadline && new Date(contest.deadline) < new Date()) {
+          return sendError(res, 400, "Contest deadline has already passed.");
+        }
+
+        const order = await ordersCollection.findOne({
+          contestId,
+          participant: email,
+          status: "Paid",
+        });
+
+        if (!order) {
+          return sendError(
+            res,
+            403,
+            "Register for this contest before submitting."
+          );
+        }
+
+        const user = await usersCollection.findOne({ email });
+
+        const submission = {
+          contestId,
+          email,
+          name: user?.name || req.body.name,
+          photo: user?.photo || req.body.photoUrl,
+          task,
+          submittedAt: new Date(),
+          status: "Pending",
+          superseded: false,
+        };
+        const result = await submissionsCollection.insertOne(submission);
+        res.send(result);
+      } catch (err) {
+        // Unique (contestId, email) index rejects a second active submission
+        if (err.code === 11000) {
+          return sendError(
+            res,
+            409,
+            "You have already submitted to this contest."
+          );
+        }
+        console.error("Error submitting task:", err);
+        sendError(res, 500, "Failed to submit task");
+      }
+    }
+  );
+
+  // Stripe checkout session (price comes from the stored contest)
+  app.post(
+    "/create-checkout-session",
+    verifyJWT,
+    checkoutLimit,
+    validate(schemas.createCheckoutSession),
+    async (req, res) => {
+      try {
+        const { contestId } = req.body;
+        const participantEmail = req.tokenEmail;
+
+        const contest = await contestsCollection.findOne({
+          _id: new ObjectId(contestId),
+        });
+
+        if (!contest) {
+          return sendError(res, 404, "Contest not found.");
+        }
+
+        if (contest.status !== "Confirmed") {
+          return sendError(res, 400, "Contest is not open for registration.");
+        }
+
+        if (contest.deadline && new Date(contest.deadline) < new Date()) {
+          return sendError(res, 400, "Contest deadline has already passed.");
+        }
+
+        if ((contest.participants || []).includes(participantEmail)) {
+          return sendError(res, 409, "Already registered for this contest.");
+        }
+
+        const id = contest._id.toString();
+        const unitAmount = Math.round(Number(contest.contestFee || 0) * 100);
+
+        // Free contests skip Stripe and register straight away. The session
+        // id is derived from the participant so a double submit is a no-op.
+        if (unitAmount <= 0) {
+          const sessionId = `free_${id}_${createHash("sha256")
+            .update(participantEmail)
+            .digest("hex")
+            .slice(0, 24)}`;
+          await recordRegistration({
+            sessionId,
+            contestId: id,
+            contest,
+            participantEmail,
+            transactionId: null,
+            amount: 0,
+          });
+          return res.send({
+            url: `${process.env.CLIENT_DOMAIN}/payment-success?session_id=${sessionId}&contestId=${id}`,
+            free: true,
+          });
+        }
+
+        const session = await stripe.checkout.sessions.create({
+          line_items: [
+            {
+              price_data: {
+                currency: "usd",
+                product_data: {
+                  name: contest.name,
+                  description: contest.description || undefined,
+                  images: contest.image ? [contest.image] : [],
+                },
+                unit_amount: unitAmount,
+              },
+              quantity: 1,
+            },
+          ],
+          customer_email: participantEmail,
+          mode: "payment",
+          metadata: {
+            contestId: id,
+            participant: participantEmail,
+          },
+          success_url: `${process.env.CLIENT_DOMAIN}/payment-success?session_id={CHECKOUT_SESSION_ID}&contestId=${id}`,
+          cancel_url: `${process.env.CLIENT_DOMAIN}/contest/${id}`,
+        });
+        res.send({ url: session.url });
+      } catch (err) {
+        console.error("Error creating checkout session:", err);
+        sendError(res, 500, "Failed to create checkout session");
+      }
+    }
+  );
+
+  // Payment success lookup (the order itself is created by /stripe-webhook)
+  app.post(
+    "/payment-success",
+    validate(schemas.paymentSuccess),
+    async (req, res) => {
+      try {
+        const { sessionId } = req.body;
+
+        const order = await ordersCollection.findOne({ sessionId });
+
+        // Webhook has not been delivered yet; the client should retry
+        if (!order) {
+          return res.status(202).send({ status: "Processing" });
+        }
+
+        res.send({
+          transactionId: order.transactionId,
+          orderId: order._id,
+          status: order.status,
+        });
+      } catch (error) {
+        console.error("Error fetching payment result:", error);
+        sendError(res, 500, "Payment processing failed.");
+      }
+    }
+  );
+
+  // get all participation for participant
+  app.get("/my-contests", verifyJWT, async (req, res) => {
+    try {
+      const participantEmail = req.tokenEmail;
+
+      const result = await ordersCollection
+        .aggregate([
+          {
+            $match: {
+              participant: participantEmail,
+              status: { $ne: "Expired" },
+            },
+          },
+          {
+            $addFields: {
+              contestObjectId: { $toObjectId: "$contestId" },
+            },
+          },
+          {
+            $lookup: {
+              from: "contests",
+              localField: "contestObjectId",
+              foreignField: "_id",
+              as: "contestDetails",
+            },
+          },
+          {
+            $unwind: {
+              path: "$contestDetails",
+              preserveNullAndEmptyArrays: true,
+            },
+          },
+          {
+            $sort: {
+              "contestDetails.deadline": 1,
+            },
+          },
+          {
+            $project: {
+              _id: 1,
+              transactionId: 1,
+              status: 1,
+              name: 1,
+              category: 1,
+              contestFee: 1,
+              image: 1,
+              deadline: "$contestDetails.deadline",
+            },
+          },
+        ])
+        .toArray();
+
+      res.send(result);
+    } catch (err) {
+      console.error("Error fetching participant contests with deadline:", err);
+      sendError(res, 500, "Failed to fetch participated contests");
+    }
+  });
+
+  // get all participation manage data for contest creator
+  // (`:email` is accepted for older clients but ignored)
+  app.get(
+    "/manage-contests{/:email}",
+    verifyJWT,
+    verifyCREATOR,
+    async (req, res) => {
+      const email = req.tokenEmail;
+      const result = await ordersCollection
+        .find({
+          "contestCreator.email": email,
+          status: { $ne: "Expired" },
+        })
+        .toArray();
+      res.send(result);
+    }
+  );
+
+  // Get all submissions for a specific contest ID (creator, judges, admins)
+  app.get(
+    "/contest-submissions/:contestId",
+    verifyJWT,
+    validate(schemas.contestSubmissions),
+    verifyCONTEST_STAFF,
+    async (req, res) => {
+      try {
+        const contestId = req.params.contestId;
+
+        const submissions = await submissionsCollection
+          .find({
+            contestId: contestId,
+            ...ACTIVE_SUBMISSION,
+          })
+          .toArray();
+
+        res.send(submissions);
+      } catch (err) {
+        console.error("Error fetching contest submissions by ID:", err);
+        sendError(res, 500, "Failed to fetch contest submissions");
+      }
+    }
+  );
+
+  // Check Submission Status (For disabling submit button)
+  app.get(
+    "/contest-submission-status/:contestId/:email",
+    validate(schemas.contestSubmissionStatus),
+    async (req, res) => {
+      try {
+        const { contestId, email } = req.params;
+
+        const submission = await submissionsCollection.findOne({
+          contestId: contestId,
+          email: email,
+          ...ACTIVE_SUBMISSION,
+        });
+
+        if (submission) {
+          res.send({ submitted: true });
+        } else {
+          res.send({ submitted: false });
+        }
+      } catch (err) {
+        console.error("Error checking submission status:", err);
+        sendError(res, 500, "Failed to check submission status");
+      }
+    }
+  );
+
+  // Get all submissions for the contests created by the contest creator
+  // (`:email` is accepted for older clients but ignored)
+  app.get(
+    "/creator-submissions{/:email}",
+    verifyJWT,
+    verifyCREATOR,
+    async (req, res) => {
+      try {
+        const creatorEmail = req.tokenEmail;
+
+        const creatorContests = await contestsCollection
+          .find({
+            "contestCreator.email": creatorEmail,
+          })
+          .project({ _id: 1 })
+          .toArray();
+
+        const contestIds = creatorContests.map((contest) =>
+          contest._id.toString()
+        );
+
+        if (contestIds.length === 0) {
+          return res.send([]);
+        }
+
+        const submissions = await submissionsCollection
+          .find({
+            contestId: { $in: contestIds },
+            ...ACTIVE_SUBMISSION,
+          })
+          .toArray();
+
+        res.send(submissions);
+      } catch (err) {
+        console.error("Error fetching creator submissions:", err);
+        sendError(res, 500, "Failed to fetch creator submissions");
+      }
+    }
+  );
+
+  // ---exports---
+  // CSV or JSON (`?format=`), streamed from a cursor; see ./exporter.
+
+  // Everyone who registered for the contest, with payment details
+  app.get(
+    "/contest-export/:contestId/participants",
+    verifyJWT,
+    verifyCREATOR,
+    validate(schemas.contestExport),
+    verifyCONTEST_OWNER,
+    async (req, res) => {
+      const cursor = ordersCollection.aggregate([
+        {
+          $match: {
+            contestId: req.params.contestId,
+            status: { $in: ["Paid", "Refunded"] },
+          },
+        },
+        { $sort: { paidAt: 1 } },
+        {
+          $lookup: {
+            from: usersCollection.collectionName,
+            localField: "participant",
+            foreignField: "email",
+            as: "user",
+            pipeline: [{ $project: { name: 1 } }],
+          },
+        },
+      ]);
+
+      await streamExport(res, {
+        cursor,
+        format: req.query.format,
+        fileName: exportFileName(req.contest.name, "participants"),
+        columns: [
+          { key: "email", value: (order) => order.participant },
+          { key: "name", value: (order) => order.user[0]?.name },
+          { key: "paymentStatus", value: (order) => order.status },
+          { key: "amount", value: (order) => order.contestFee },
+          { key: "transactionId", value: (order) => order.transactionId },
+          { key: "paidAt", value: (order) => order.paidAt },
+          { key: "refundStatus", value: (order) => order.refund?.status },
+          { key: "refundedAmount", value: (order) => order.refund?.amount },
+        ],
+      });
+    }
+  );
+
+  app.get(
+    "/contest-export/:contestId/submissions",
+    verifyJWT,
+    verifyCREATOR,
+    validate(schemas.contestExport),
+    verifyCONTEST_OWNER,
+    async (req, res) => {
+      const cursor = submissionsCollection
+        .find({ contestId: req.params.contestId, ...ACTIVE_SUBMISSION })
+        .sort({ submittedAt: 1 });
+
+      await streamExport(res, {
+        cursor,
+        format: req.query.format,
+        fileName: exportFileName(req.contest.name, "submissions"),
+        columns: [
+          { key: "submissionId", value: (submission) => submission._id },
+          { key: "email", value: (submission) => submission.email },
+          { key: "name", value: (submission) => submission.name },
+          { key: "task", value: (submission) => submission.task },
+          { key: "submittedAt", value: (submission) => submission.submittedAt },
+          { key: "status", value: (submission) => submission.status },
+          { key: "placement", value: (submission) => submission.placement },
+          { key: "prize", value: (submission) => submission.prize },
+        ],
+      });
+    }
+  );
+
+  // --- JUDGING ROUTES ---
+
+  // Weighted rubric score of one judge, scaled to 0-100
+  const computeRubricTotal = (rubric, scores) => {
+    const totalWeight = rubric.reduce((sum, c) => sum + c.weight, 0);
+    const weighted = rubric.reduce(
+      (sum, c) => sum + (scores[c.key] / c.maxScore) * c.weight,
+      0
+    );
+    return Number(((weighted / totalWeight) * 100).toFixed(2));
+  };
+
+  // Invite a judge to a contest (Contest Creator only)
+  app.post(
+    "/contest-judges/:contestId",
+    verifyJWT,
+    verifyCREATOR,
+    validate(schemas.inviteJudge),
+    verifyCONTEST_OWNER,
+    async (req, res) => {
+      try {
+        const { contestId } = req.params;
+        const { email } = req.body;
+        const contest = req.contest;
+
+        const judge = await usersCollection.findOne({ email });
+        if (!judge) {
+          return sendError(res, 404, "User not found.");
+        }
+
+        // Judges must be independent from the contest
+        if (
+          email === req.tokenEmail ||
+          (contest.participants || []).includes(email)
+        ) {
+          return sendError(
+            res,
+            400,
+            "Creators and participants cannot judge this contest."
+          );
+        }
+
+        const result = await contestsCollection.updateOne(
+          { _id: contest._id, "judges.email": { $ne: email } },
+          {
+            $push: {
+              judges: { email, status: "Invited", invitedAt: new Date() },
+            },
+          }
+        );
+
+        if (result.matchedCount === 0) {
+          return sendError(res, 409, "This user is already invited to judge.");
+        }
+
+        await recordAudit(req, {
+          action: "contest.judge_invite",
+          targetType: "contest",
+          targetId: contestId,
+          before: { judges: contest.judges || [] },
+          details: { email },
+        });
+
+        res.send({ message: "Judge invited successfully!", result });
+      } catch (err) {
+        console.error("Error inviting judge:", err);
+        sendError(res, 500, "Failed to invite judge");
+      }
+    }
+  );
+
+  // Remove a judge and their scores (Contest Creator only)
+  app.delete(
+    "/contest-judges/:contestId/:email",
+    verifyJWT,
+    verifyCREATOR,
+    validate(schemas.removeJudge),
+    verifyCONTEST_OWNER,
+    async (req, res) => {
+      try {
+        const { contestId, email } = req.params;
+
+        const result = await contestsCollection.updateOne(
+          { _id: req.contest._id },
+          { $pull: { judges: { email } } }
+        );
+
+        const scores = await scoresCollection.deleteMany({
+          contestId,
+          judge: email,
+        });
+
+        await recordAudit(req, {
+          action: "contest.judge_remove",
+          targetType: "contest",
+          targetId: contestId,
+          details: { email, scoresRemoved: scores.deletedCount },
+        });
+
+        res.send({ message: "Judge removed successfully!", result });
+      } catch (err) {
+        console.error("Error removing judge:", err);
+        sendError(res, 500, "Failed to remove judge");
+      }
+    }
+  );
+
+  // Define the scoring rubric (Contest Creator only)
+  // criteria: [{ name: "Creativity", weight: 40, maxScore: 10 }, ...]
+  app.put(
+    "/contest-rubric/:contestId",
+    verifyJWT,
+    verifyCREATOR,
+    validate(schemas.contestRubric),
+    verifyCONTEST_OWNER,
+    async (req, res) => {
+      try {
+        const { contestId } = req.params;
+        const { criteria } = req.body;
+        const contest = req.contest;
+
+        const rubric = criteria.map((criterion) => ({
+          key: String(criterion.name || "")
+            .trim()
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, "-"),
+          name: String(criterion.name || "").trim(),
+          weight: Number(criterion.weight),
+          maxScore: Number(criterion.maxScore) || 10,
+        }));
+
+        const isValid =
+          rubric.every(
+            (c) =>
+              c.key &&
+              Number.isFinite(c.weight) &&
+              c.weight > 0 &&
+              c.maxScore > 0
+          ) && new Set(rubric.map((c) => c.key)).size === rubric.length;
+
+        if (!isValid) {
+          return sendError(
+            res,
+            400,
+            "Criteria need unique names, positive weights and max scores."
+          );
+        }
+
+        // Changing the rubric would invalidate scores already given
+        const scored = await scoresCollection.countDocuments({ contestId });
+        if (scored > 0) {
+          return sendError(
+            res,
+            409,
+            "The rubric cannot change once judges started scoring."
+          );
+        }
+
+        const result = await contestsCollection.updateOne(
+          { _id: contest._id },
+          { $set: { rubric } }
+        );
+
+        await recordAudit(req, {
+          action: "contest.rubric_update",
+          targetType: "contest",
+          targetId: contestId,
+          before: { rubric: contest.rubric || null },
+          after: { rubric },
+        });
+
+        res.send({ message: "Rubric saved successfully!", rubric, result });
+      } catch (err) {
+        console.error("Error saving rubric:", err);
+        sendError(res, 500, "Failed to save rubric");
+      }
+    }
+  );
+
+  // Aggregated judge ranking of a contest's submissions (Contest Creator only)
+  app.get(
+    "/judging-ranking/:contestId",
+    verifyJWT,
+    verifyCREATOR,
+    validate(schemas.judgingRanking),
+    verifyCONTEST_OWNER,
+    async (req, res) => {
+      try {
+        const { contestId } = req.params;
+        const contest = req.contest;
+
+        const judgeCount = (contest.judges || []).filter(
+          (judge) => judge.status === "Accepted"
+        ).length;
+
+        const ranking = await scoresCollection
+          .aggregate([
+            { $match: { contestId } },
+            {
+              $group: {
+                _id: "$submissionId",
+                averageScore: { $avg: "$total" },
+                judgesScored: { $sum: 1 },
+              },
+            },
+            {
+              $lookup: {
+                from: "submissions",
+                localField: "_id",
+                foreignField: "_id",
+                as: "submission",
+              },
+            },
+            { $unwind: "$submission" },
+            { $match: { "submission.superseded": { $ne: true } } },
+            { $sort: { averageScore: -1 } },
+            {
+              $project: {
+                _id: 0,
+                submissionId: "$_id",
+                averageScore: { $round: ["$averageScore", 2] },
+                judgesScored: 1,
+                name: "$submission.name",
+                email: "$submission.email",
+                photo: "$submission.photo",
+              },
+            },
+          ])
+          .toArray();
+
+        res.send({
+          rubric: contest.rubric || [],
+          judgeCount,
+          ranking: ranking.map((entry, index) => ({
+            rank: index + 1,
+            ...entry,
+            fullyScored: entry.judgesScored >= judgeCount,
+          })),
+        });
+      } catch (err) {
+        console.error("Error fetching judging ranking:", err);
+        sendError(res, 500, "Failed to fetch judging ranking");
+      }
+    }
+  );
+
+  // Contests the current user has been invited to judge
+  app.get("/judge-contests", verifyJWT, async (req, res) => {
+    try {
+      const contests = await contestsCollection
+        .find({ "judges.email": req.tokenEmail })
+        .project({
+          name: 1,
+          image: 1,
+          category: 1,
+          deadline: 1,
+          status: 1,
+          rubric: 1,
+          judges: { $elemMatch: { email: req.tokenEmail } },
+        })
+        .toArray();
+
+      res.send(
+        contests.map(({ judges, ...contest }) => ({
+          ...contest,
+          invitation: judges[0],
+        }))
+      );
+    } catch (err) {
+      console.error("Error fetching judge contests:", err);
+      sendError(res, 500, "Failed to fetch judge contests");
+    }
+  });
+
+  // Accept or decline a judging invitation
+  app.patch(
+    "/judge-invitations/:contestId",
+    verifyJWT,
+    validate(schemas.judgeInvitation),
+    async (req, res) => {
+      try {
+        const { contestId } = req.params;
+        const { accept } = req.body;
+
+        const result = await contestsCollection.updateOne(
+          {
+            _id: new ObjectId(contestId),
+            judges: {
+              $elemMatch: { email: req.tokenEmail, status: "Invited" },
+            },
+          },
+          {
+            $set: {
+              "judges.$.status": accept ? "Accepted" : "Declined",
+              "judges.$.respondedAt": new Date(),
+            },
+          }
+        );
+
+        if (result.matchedCount === 0) {
+          return sendError(res, 404, "No pending invitation for this contest.");
+        }
+
+        res.send({
+          message: `Invitation ${accept ? "accepted" : "declined"}.`,
+          result,
+        });
+      } catch (err) {
+        console.error("Error responding to judge invitation:", err);
+        sendError(res, 500, "Failed to respond to invitation");
+      }
+    }
+  );
+
+  // Submissions of a judged contest with the judge's own scores
+  app.get(
+    "/judge-submissions/:contestId",
+    verifyJWT,
+    validate(schemas.judgeSubmissions),
+    verifyJUDGE,
+    async (req, res) => {
+      try {
+        const { contestId } = req.params;
+
+        const submissions = await submissionsCollection
+          .find({ contestId, ...ACTIVE_SUBMISSION })
+          .toArray();
+        const myScores = await scoresCollection
+          .find({ contestId, judge: req.tokenEmail })
+          .toArray();
+
+        res.send({
+          rubric: req.contest.rubric || [],
+          submissions: submissions.map((submission) => ({
+            ...submission,
+            myScore:
+              myScores.find((score) =>
+                score.submissionId.equals(submission._id)
+              ) || null,
+          })),
+        });
+      } catch (err) {
+        console.error("Error fetching judge submissions:", err);
+        sendError(res, 500, "Failed to fetch submissions");
+      }
+    }
+  );
+
+  // Score a submission against the contest rubric (Judge only)
+  app.put(
+    "/judge-scores/:contestId/:submissionId",
+    verifyJWT,
+    validate(schemas.judgeScore),
+    verifyJUDGE,
+    async (req, res) => {
+      try {
+        const { contestId, submissionId } = req.params;
+        const { scores = {}, comment = "" } = req.body;
+        const rubric = req.contest.rubric || [];
+
+        if (rubric.length === 0) {
+          return sendError(res, 400, "This contest has no scoring rubric yet.");
+        }
+
+        if (req.contest.winner) {
+          return sendError(res, 400, "Winners are already declared.");
+        }
+
+        const invalid = rubric.filter((c) => {
+          const value = Number(scores[c.key]);
+          return !Number.isFinite(value) || value < 0 || value > c.maxScore;
+        });
+        if (invalid.length > 0) {
+          return sendError(
+            res,
+            400,
+            "Every criterion needs a score within its range.",
+            { details: { criteria: invalid.map((c) => c.key) } }
+          );
+        }
+
+        const submission = await submissionsCollection.findOne({
+          _id: new ObjectId(submissionId),
+          contestId,
+          ...ACTIVE_SUBMISSION,
+        });
+
+        if (!submission) {
+          return sendError(res, 404, "Submission not found.");
+        }
+
+        const criteriaScores = Object.fromEntries(
+          rubric.map((c) => [c.key, Number(scores[c.key])])
+        );
+
+        const result = await scoresCollection.updateOne(
+          { submissionId: submission._id, judge: req.tokenEmail },
+          {
+            $set: {
+              contestId,
+              scores: criteriaScores,
+              total: computeRubricTotal(rubric, criteriaScores),
+              comment,
+              updatedAt: new Date(),
+            },
+            $setOnInsert: { createdAt: new Date() },
+          },
+          { upsert: true }
+        );
+
+        res.send({ message: "Score saved successfully!", result });
+      } catch (err) {
+        console.error("Error saving judge score:", err);
+        sendError(res, 500, "Failed to save score");
+      }
+    }
+  );
+
+  // --- END JUDGING ROUTES ---
+
+  // Legacy contests only store a single `winner`; expose every contest's
+  // results as a `placements` array so the leaderboards treat both alike.
+  const placementsStages = [
+    { $match: { winner: { $exists: true, $ne: null } } },
+    {
+      $addFields: {
+        placements: {
+          $ifNull: [
+            "$winners",
+            [
+              {
+                $mergeObjects: [
+                  "$winner",
+                  { placement: 1, prize: "$prizeMoney" },
+                ],
+              },
+            ],
+          ],
+        },
+      },
+    },
+  ];
+
+  // Drops rows whose `emailField` belongs to a hidden profile and puts the
+  // user's id in `profileId` (null for people without an account)
+  const publicProfileStages = (emailField) => [
+    {
+      $lookup: {
+        from: usersCollection.collectionName,
+        localField: emailField,
+        foreignField: "email",
+        pipeline: [{ $project: { isProfilePublic: 1 } }],
+        as: "profile",
+      },
+    },
+    { $match: { "profile.isProfilePublic": { $ne: false } } },
+    { $set: { profileId: { $ifNull: [{ $first: "$profile._id" }, null] } } },
+    { $unset: "profile" },
+  ];
+
+  // --winners in leaderboard--
+  app.get("/winners-leaderboard", async (req, res) => {
+    try {
+      const recentWinners = await contestsCollection
+        .aggregate([
+          ...placementsStages,
+          { $unwind: "$placements" },
+          ...publicProfileStages("placements.email"),
+          {
+            $sort: { "placements.declaredAt": -1, "placements.placement": 1 },
+          },
+          { $limit: 6 },
+        ])
+        .toArray();
+
+      const stats = await contestsCollection
+        .aggregate([
+          ...placementsStages,
+          { $unwind: "$placements" },
+          {
+            $group: {
+              _id: null,
+              totalWinners: { $sum: 1 },
+              totalPrizeMoney: { $sum: "$placements.prize" },
+            },
+          },
+        ])
+        .toArray();
+
+      const formattedStats = stats[0] || {
+        totalWinners: 0,
+        totalPrizeMoney: 0,
+      };
+
+      const winnersData = recentWinners.map((contest) => ({
+        contestId: contest._id,
+        contestName: contest.name,
+        prize: contest.placements.prize,
+        placement: contest.placements.placement,
+        winnerName: contest.placements.name,
+        winnerPhoto: contest.placements.photo,
+        winnerProfileId: contest.profileId,
+        declaredAt: contest.placements.declaredAt,
+        category: contest.category,
+      }));
+
+      res.send({
+        totalWinners: formattedStats.totalWinners,
+        totalPrizeMoney: formattedStats.totalPrizeMoney,
+        recentWinners: winnersData,
+      });
+    } catch (err) {
+      console.error("Error fetching leaderboard data:", err);
+      sendError(res, 500, "Failed to fetch leaderboard data");
+    }
+  });
+
+  //  Get Top Winners ranked by 1st places, then podiums and prize earned
+  app.get("/top-winners-ranking", async (req, res) => {
+    try {
+      const ranking = await contestsCollection
+        .aggregate([
+          ...placementsStages,
+          { $unwind: "$placements" },
+          {
+            // Group by the placed participant's email
+            $group: {
+              _id: "$placements.email",
+              totalWins: {
+                $sum: {
+                  $cond: [{ $eq: ["$placements.placement", 1] }, 1, 0],
+                },
+              },
+              totalPlacements: { $sum: 1 },
+              totalPrize: { $sum: "$placements.prize" },
+              bestPlacement: { $min: "$placements.placement" },
+              winnerName: { $first: "$placements.name" },
+              winnerPhoto: { $first: "$placements.photo" },
+            },
+          },
+          ...publicProfileStages("_id"),
+          {
+            $sort: { totalWins: -1, totalPlacements: -1, totalPrize: -1 },
+          },
+          {
+            $project: {
+              _id: 0,
+              profileId: 1,
+              name: "$winnerName",
+              photo: "$winnerPhoto",
+              wins: "$totalWins",
+              placements: "$totalPlacements",
+              bestPlacement: 1,
+              totalPrize: 1,
+            },
+          },
+        ])
+        .toArray();
+
+      res.send(ranking);
+    } catch (err) {
+      console.error("Error fetching top winners ranking:", err);
+      sendError(res, 500, "Failed to fetch top winners ranking");
+    }
+  });
+
+  // Leaderboard points. 1st place scores `win` on top of `placement`.
+  const LEADERBOARD_POINTS = {
+    participation: 10, // per paid registration
+    placement: 40, // per placement of any rank
+    win: 60, // extra for 1st place
+    prizeDollar: 0.1, // per dollar of prize money won
+  };
+
+  const LEADERBOARD_WINDOWS = {
+    weekly: () => startOfWeek(new Date(), { weekStartsOn: 1 }),
+    monthly: () => startOfMonth(new Date()),
+    "all-time": () => null,
+  };
+
+  // The ranking is cached per window and category for a minute, so busy
+  // public traffic does not rerun the aggregation on every request.
+  const LEADERBOARD_CACHE_MS = 60 * 1000;
+  const LEADERBOARD_CACHE_SIZE = 100;
+  const leaderboardCache = new Map();
+
+  // Every participant with points, best first
+  const computeLeaderboard = async (window, category) => {
+    const since = LEADERBOARD_WINDOWS[window]();
+
+    const placementEvents = [
+      ...(category ? [{ $match: { category } }] : []),
+      ...placementsStages,
+      { $unwind: "$placements" },
+      // Legacy placements have no date and only count all-time
+      ...(since
+        ? [{ $match: { "placements.declaredAt": { $gte: since } } }]
+        : []),
+      {
+        $project: {
+          _id: 0,
+          email: "$placements.email",
+          name: "$placements.name",
+          photo: "$placements.photo",
+          wins: {
+            $cond: [{ $eq: ["$placements.placement", 1] }, 1, 0],
+          },
+          placements: { $literal: 1 },
+          prize: { $ifNull: ["$placements.prize", 0] },
+          participations: { $literal: 0 },
+        },
+      },
+    ];
+
+    const orderMatch = { status: "Paid" };
+    if (category) orderMatch.category = category;
+    if (since) orderMatch.paidAt = { $gte: since };
+
+    const participationEvents = [
+      { $match: orderMatch },
+      {
+        $project: {
+          _id: 0,
+          email: "$participant",
+          wins: { $literal: 0 },
+          placements: { $literal: 0 },
+          prize: { $literal: 0 },
+          participations: { $literal: 1 },
+        },
+      },
+    ];
+
+    const ranking = await contestsCollection
+      .aggregate([
+        ...placementEvents,
+        {
+          $unionWith: {
+            coll: ordersCollection.collectionName,
+            pipeline: participationEvents,
+          },
+        },
+        {
+          $group: {
+            _id: "$email",
+            name: { $max: "$name" },
+            photo: { $max: "$photo" },
+            wins: { $sum: "$wins" },
+            placements: { $sum: "$placements" },
+            prize: { $sum: "$prize" },
+            participations: { $sum: "$participations" },
+          },
+        },
+        // Hidden profiles are left out of the ranking altogether
+        ...publicProfileStages("_id"),
+        {
+          $addFields: {
+            points: {
+              $round: [
+                {
+                  $add: [
+                    {
+                      $multiply: [
+                        "$participations",
+                        LEADERBOARD_POINTS.participation,
+                      ],
+                    },
+                    {
+                      $multiply: ["$placements", LEADERBOARD_POINTS.placement],
+                    },
+                    { $multiply: ["$wins", LEADERBOARD_POINTS.win] },
+                    {
+                      $multiply: ["$prize", LEADERBOARD_POINTS.prizeDollar],
+                    },
+                  ],
+                },
+                1,
+              ],
+            },
+          },
+        },
+        {
+          $setWindowFields: {
+            sortBy: { points: -1 },
+            output: { rank: { $rank: {} } },
+          },
+        },
+        { $sort: { rank: 1, wins: -1, prize: -1, _id: 1 } },
+      ])
+      .toArray();
+
+    return { since, ranking };
+  };
+
+  const getLeaderboard = (window, category) => {
+    const key = `${window}:${category || ""}`;
+    const cached = leaderboardCache.get(key);
+    if (cached && cached.expiresAt > Date.now()) return cached.result;
+
+    const result = computeLeaderboard(window, category);
+    leaderboardCache.delete(key);
+    leaderboardCache.set(key, {
+      result,
+      expiresAt: Date.now() + LEADERBOARD_CACHE_MS,
+    });
+    // Oldest first, so this drops the least recently computed ranking
+    if (leaderboardCache.size > LEADERBOARD_CACHE_SIZE) {
+      leaderboardCache.delete(leaderboardCache.keys().next().value);
+    }
+    result.catch(() => {
+      if (leaderboardCache.get(key)?.result === result) {
+        leaderboardCache.delete(key);
+      }
+    });
+    return result;
+  };
+
+  // Ranked points table for a window and category. Entries identify people
+  // by name, photo and profile id; only the caller's own row (`me`) carries
+  // an email.
+  app.get(
+    "/leaderboard",
+    leaderboardLimit,
+    identifyUser,
+    validate(schemas.leaderboard),
+    async (req, res) => {
+      try {
+        const { window, category, page, limit } = req.query;
+        const { since, ranking } = await getLeaderboard(window, category);
+
+        const entries = ranking.slice((page - 1) * limit, page * limit);
+        const mine = req.tokenEmail
+          ? ranking.find((row) => row._id === req.tokenEmail)
+          : null;
+
+        // Names and photos come from the current profile
+        const rows = [...entries, ...(mine ? [mine] : [])];
+        const users = await usersCollection
+          .find(
+            { email: { $in: rows.map((row) => row._id) } },
+            { projection: { email: 1, name: 1, photo: 1, image: 1 } }
+          )
+          .toArray();
+        const toEntry = ({ _id, ...row }) => {
+          const user = users.find((item) => item.email === _id);
+          return {
+            ...row,
+            profileId: user?._id || null,
+            name: user?.name || row.name || null,
+            photo: user?.photo || user?.image || row.photo || null,
+          };
+        };
+
+        const total = ranking.length;
+        res.send({
+          window,
+          category: category || null,
+          since,
+          entries: entries.map(toEntry),
+          me: mine ? { ...toEntry(mine), email: mine._id } : null,
+          total,
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          limit,
+        });
+      } catch (err) {
+        console.error("Error fetching leaderboard:", err);
+        sendError(res, 500, "Failed to fetch leaderboard");
+      }
+    }
+  );
+
+  // ---badges---
+  // Achievements are derived from a participant's record and stored on the
+  // user as { key, name, description, awardedAt }. Awarding is idempotent
+  // and runs whenever an order or a contest's winners are recorded.
+  const WINNING_STREAK_LENGTH = 3;
+  const CATEGORY_SPECIALIST_WINS = 3;
+
+  const BADGES = [
+    {
+      key: "first-win",
+      name: "First Victory",
+      description: "Won a contest for the first time.",
+      earned: (record) => record.wins >= 1,
+    },
+    {
+      key: "ten-contests",
+      name: "Regular Contender",
+      description: "Entered 10 contests.",
+      earned: (record) => record.participations >= 10,
+    },
+    {
+      key: "winning-streak",
+      name: "On a Roll",
+      description: `Won ${WINNING_STREAK_LENGTH} contests in a row.`,
+      earned: (record) => record.longestWinStreak >= WINNING_STREAK_LENGTH,
+    },
+  ];
+
+  // Paid entries, placements and per-category results for one participant
+  const getParticipantRecord = async (email) => {
+    const orders = await ordersCollection
+      .find(
+        { participant: email, status: "Paid" },
+        { projection: { contestId: 1, category: 1 } }
+      )
+      .toArray();
+
+    // Completed contests the participant entered, oldest first
+    const contestIds = orders
+      .map((order) => order.contestId)
+      .filter((id) => ObjectId.isValid(id))
+      .map((id) => new ObjectId(id));
+    const completed = await contestsCollection
+      .aggregate([
+        { $match: { _id: { $in: contestIds }, status: "Completed" } },
+        ...placementsStages,
+        {
+          $project: {
+            category: 1,
+            deadline: 1,
+            myPlacement: {
+              $first: {
+                $filter: {
+                  input: "$placements",
+                  cond: { $eq: ["$$this.email", email] },
+                },
+              },
+            },
+          },
+        },
+        { $sort: { deadline: 1 } },
+      ])
+      .toArray();
+
+    const categories = {};
+    const categoryOf = (name) =>
+      (categories[name] ??= {
+        category: name,
+        participations: 0,
+        wins: 0,
+        placements: 0,
+      });
+    for (const order of orders) {
+      if (order.category) categoryOf(order.category).participations++;
+    }
+
+    const record = {
+      participations: orders.length,
+      wins: 0,
+      placements: 0,
+      totalPrize: 0,
+      longestWinStreak: 0,
+    };
+    let streak = 0;
+    for (const contest of completed) {
+      const placement = contest.myPlacement;
+      const won = placement?.placement === 1;
+
+      streak = won ? streak + 1 : 0;
+      record.longestWinStreak = Math.max(record.longestWinStreak, streak);
+      if (!placement) continue;
+
+      record.placements++;
+      record.totalPrize += Number(placement.prize) || 0;
+      if (won) record.wins++;
+      if (contest.category) {
+        categoryOf(contest.category).placements++;
+        if (won) categoryOf(contest.category).wins++;
+      }
+    }
+
+    record.categories = Object.values(categories).sort(
+      (a, b) => b.wins - a.wins || b.participations - a.participations
+    );
+    return record;
+  };
+
+  const earnedBadges = (record) => [
+    ...BADGES.filter((badge) => badge.earned(record)),
+    ...record.categories
+      .filter((item) => item.wins >= CATEGORY_SPECIALIST_WINS)
+      .map((item) => ({
+        key: `category-specialist:${item.category}`,
+        name: `${item.category} Specialist`,
+        description: `Won ${CATEGORY_SPECIALIST_WINS} ${item.category} contests.`,
+      })),
+  ];
+
+  // One-off backfill for achievements earned before badges existed. Checked
+  // users get at least an empty `badges` list, so later starts skip them.
+  const backfillBadges = async () => {
+    const users = usersCollection.find(
+      { badges: { $exists: false } },
+      { projection: { email: 1 } }
+    );
+
+    for await (const { email } of users) {
+      await awardBadges(email);
+      await usersCollection.updateOne(
+        { email, badges: { $exists: false } },
+        { $set: { badges: [] } }
+      );
+    }
+  };
+
+  // Best-effort, like notifications: a failure never fails the caller
+  const awardBadges = async (email, record) => {
+    try {
+      record ??= await getParticipantRecord(email);
+
+      for (const { key, name, description } of earnedBadges(record)) {
+        const result = await usersCollection.updateOne(
+          { email, "badges.key": { $ne: key } },
+          {
+            $push: {
+              badges: { key, name, description, awardedAt: new Date() },
+            },
+          }
+        );
+
+        if (result.modifiedCount === 1) {
+          await notify(email, {
+            type: "badge_earned",
+            title: `Badge earned: ${name}`,
+            message: description,
+            data: { badge: key },
+          });
+        }
+      }
+    } catch (err) {
+      console.error(`Error awarding badges to ${email}:`, err);
+    }
+  };
+
+  // Public profile by profile id (or by email, for older links). Hidden
+  // profiles, and the email address, are only visible to their owner.
+  app.get(
+    "/profiles/:profile",
+    identifyUser,
+    validate(schemas.publicProfile),
+    async (req, res) => {
+      try {
+        const { profile } = req.params;
+
+        const user = await usersCollection.findOne(
+          ObjectId.isValid(profile)
+            ? { _id: new ObjectId(profile) }
+            : { email: profile }
+        );
+        const email = user?.email;
+        const isOwner = Boolean(email) && req.tokenEmail === email;
+        if (!user || (user.isProfilePublic === false && !isOwner)) {
+          return sendError(res, 404, "Profile not found.");
+        }
+
+        const record = await getParticipantRecord(email);
+        const badges = user.badges || [];
+
+        res.send({
+          profileId: user._id,
+          ...(isOwner && { email }),
+          name: user.name || null,
+          photo: user.photo || user.image || null,
+          bio: user.bio || null,
+          role: user.role,
+          memberSince: user.created_at || null,
+          isProfilePublic: user.isProfilePublic !== false,
+          stats: {
+            participations: record.participations,
+            wins: record.wins,
+            placements: record.placements,
+            totalPrize: record.totalPrize,
+            winPercentage: record.participations
+              ? ((record.wins / record.participations) * 100).toFixed(2)
+              : "0.00",
+          },
+          categories: record.categories,
+          badges,
+        });
+      } catch (err) {
+        console.error("Error fetching public profile:", err);
+        sendError(res, 500, "Failed to fetch profile");
+      }
+    }
+  );
+
+  // Get all contests where the current user took a placement
+  app.get("/my-winning-contests", verifyJWT, async (req, res) => {
+    try {
+      const winnerEmail = req.tokenEmail;
+
+      const winningContests = await contestsCollection
+        .aggregate([
+          {
+            $match: {
+              status: "Completed",
+              $or: [
+                { "winners.email": winnerEmail },
+                { "winner.email": winnerEmail },
+              ],
+            },
+          },
+          ...placementsStages,
+          {
+            $addFields: {
+              myPlacement: {
+                $first: {
+                  $filter: {
+                    input: "$placements",
+                    cond: { $eq: ["$$this.email", winnerEmail] },
+                  },
+                },
+              },
+            },
+          },
+          { $match: { myPlacement: { $ne: null } } },
+          { $sort: { "myPlacement.declaredAt": -1 } },
+          {
+            $project: {
+              _id: 1,
+              name: 1,
+              category: 1,
+              prizeMoney: 1,
+              image: 1,
+              winner: 1,
+              placement: "$myPlacement.placement",
+              prize: "$myPlacement.prize",
+            },
+          },
+        ])
+        .toArray();
+
+      res.send(winningContests);
+    } catch (err) {
+      console.error("Error fetching winning contests:", err);
+      sendError(res, 500, "Failed to fetch winning contests");
+    }
+  });
+
+  // --- NEW API ROUTE: Get Participant Stats and Profile ---
+  app.get("/my-stats", verifyJWT, async (req, res) => {
+    try {
+      const email = req.tokenEmail;
+
+      // 1. Get Participation Count (from ordersCollection)
+      const participationCount = await ordersCollection.countDocuments({
+        participant: email,
+        status: "Paid",
+      });
+
+      // 2. Get Win Count (from contestsCollection)
+      const winCount = await contestsCollection.countDocuments({
+        "winner.email": email,
+        status: "Completed",
+      });
+
+      // 3. Get User Profile Data
+      const userProfile = await usersCollection.findOne(
+        { email },
+        {
+          projection: {
+            _id: 0,
+            name: 1,
+            email: 1,
+            photo: 1,
+            role: 1,
+            bio: 1,
+            badges: 1,
+            isProfilePublic: 1,
+          },
+        }
+      );
+
+      // Calculate Win Percentage
+      let winPercentage = 0;
+      if (participationCount > 0) {
+        winPercentage = (winCount / participationCount) * 100;
+      }
+
+      res.send({
+        participationCount,
+        winCount,
+        winPercentage: winPercentage.toFixed(2), // 2 decimal places
+        profile: userProfile,
+      });
+    } catch (err) {
+      console.error("Error fetching user stats:", err);
+      sendError(res, 500, "Failed to fetch user stats");
+    }
+  });
+
+  // user-profile-update`
+  app.patch(
+    "/user-profile-update",
+    verifyJWT,
+    validate(schemas.updateProfile),
+    async (req, res) => {
+      try {
+        const email = req.tokenEmail;
+
+        const updateDoc = {
+          $set: { ...req.body, lastUpdated: new Date() },
+        };
+
+        const result = await usersCollection.updateOne({ email }, updateDoc);
+
+        if (result.matchedCount === 0) {
+          return sendError(res, 404, "User not found.");
+        }
+
+        // Hiding or showing a profile moves it on or off the leaderboard
+        if (req.body.isProfilePublic !== undefined) leaderboardCache.clear();
+
+        res.send({ message: "Profile updated successfully!", result });
+      } catch (err) {
+        console.error("Error updating user profile:", err);
+        sendError(res, 500, "Failed to update profile");
+      }
+    }
+  );
+
+  // --save or updata user--
+  app.post(
+    "/user",
+    saveUserLimit,
+    validate(schemas.saveUser),
+    async (req, res) => {
+      const userData = req.body;
+
+      userData.created_at = new Date().toISOString();
+      userData.lastLoggedIn = new Date().toISOString();
+      userData.role = "participant";
+      const query = {
+        email: userData.email,
+      };
+      const alreadyExists = await usersCollection.findOne(query);
+      if (alreadyExists) {
+        const result = await usersCollection.updateOne(query, {
+          $set: { lastLoggedIn: new Date().toISOString() },
+        });
+        return res.send(result);
+      }
+
+      const result = await usersCollection.insertOne(userData);
+      res.send(result);
+    }
+  );
+
+  // get an users role--
+  app.get("/user/role", verifyJWT, async (req, res) => {
+    const result = await usersCollection.findOne({ email: req.tokenEmail });
+    res.send({ role: result?.role });
+  });
+
+  // --- CREATOR APPLICATIONS ---
+  // Applications are kept as history: Pending -> Approved | Rejected.
+  // Rejected applicants may reapply once the cooldown has passed.
+  const CREATOR_REAPPLY_COOLDOWN_DAYS =
+    Number(process.env.CREATOR_REAPPLY_COOLDOWN_DAYS) || 30;
+
+  const reapplyDate = (application) =>
+    new Date(
+      new Date(application.decidedAt).getTime() +
+        CREATOR_REAPPLY_COOLDOWN_DAYS * 24 * 60 * 60 * 1000
+    );
+
+  // Decide a pending application; approval flips the user's role in the
+  // same transaction so the two can never disagree.
+  const decideCreatorApplication = async (filter, decision) => {
+    const session = db.client.startSession();
+    try {
+      let application = null;
+      await session.withTransaction(async () => {
+        application = await creatorRequestsCollection.findOneAndUpdate(
+          { ...filter, status: "Pending" },
+          { $set: { ...decision, decidedAt: new Date() } },
+          { session, returnDocument: "after" }
+        );
+
+        if (application?.status === "Approved") {
+          await usersCollection.updateOne(
+            { email: application.email },
+            { $set: { role: "contestCreator" } },
+            { session }
+          );
+        }
+      });
+      return application;
+    } finally {
+      await session.endSession();
+    }
+  };
+
+  const announceCreatorDecision = async (application) => {
+    const approved = application.status === "Approved";
+
+    await notify(application.email, {
+      type: approved ? "creator_request_approved" : "creator_request_rejected",
+      title: approved ? "Creator request accepted" : "Creator request declined",
+      message: approved
+        ? "You can now create and manage contests."
+        : `Your request to become a contest creator was declined.${
+            application.reviewerNote
+              ? ` Reviewer notes: ${application.reviewerNote}`
+              : ""
+          }`,
+      data: { applicationId: application._id, status: application.status },
+    });
+
+    await queueEmail(application.email, "creatorRequestDecision", {
+      approved,
+      reason: application.reviewerNote,
+    });
+  };
+
+  // save become creator--
+  app.post(
+    "/become-creator",
+    verifyJWT,
+    validate(schemas.becomeCreator),
+    async (req, res) => {
+      try {
+        const email = req.tokenEmail;
+        const { motivation, portfolio = [], experience = "" } = req.body;
+
+        const user = await usersCollection.findOne({ email });
+        if (user?.role === "contestCreator" || user?.role === "admin") {
+          return sendError(res, 409, "You can already create contests.");
+        }
+
+        const [latest] = await creatorRequestsCollection
+          .find({ email })
+          .sort({ createdAt: -1 })
+          .limit(1)
+          .toArray();
+
+        if (latest?.status === "Pending") {
+          return sendError(
+            res,
+            409,
+            "Already requested to being Contest Creator"
+          );
+        }
+
+        if (latest?.status === "Rejected" && reapplyDate(latest) > new Date()) {
+          return sendError(
+            res,
+            409,
+            "You can reapply after the cooldown period.",
+            { details: { reapplyAt: reapplyDate(latest) } }
+          );
+        }
+
+        const result = await creatorRequestsCollection.insertOne({
+          email,
+          name: user?.name,
+          photo: user?.photo,
+          motivation,
+          portfolio: [].concat(portfolio).filter(Boolean),
+          experience,
+          status: "Pending",
+          reviewerNote: null,
+          decidedBy: null,
+          decidedAt: null,
+          createdAt: new Date(),
+        });
+        res.send(result);
+      } catch (err) {
+        // Unique partial index allows only one pending application per user
+        if (err.code === 11000) {
+          return sendError(
+            res,
+            409,
+            "Already requested to being Contest Creator"
+          );
+        }
+        console.error("Error saving creator application:", err);
+        sendError(res, 500, "Failed to submit application");
+      }
+    }
+  );
+
+  // The applicant's own application history
+  app.get("/my-creator-applications", verifyJWT, async (req, res) => {
+    try {
+      const applications = await creatorRequestsCollection
+        .find({ email: req.tokenEmail })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      const latest = applications[0];
+      res.send({
+        applications,
+        reapplyAt: latest?.status === "Rejected" ? reapplyDate(latest) : null,
+      });
+    } catch (err) {
+      console.error("Error fetching creator applications:", err);
+      sendError(res, 500, "Failed to fetch applications");
+    }
+  });
+
+  // get creator requests to admin (?status=Pending|Approved|Rejected|all)
+  app.get(
+    "/creator-requests",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.listCreatorRequests),
+    async (req, res) => {
+      try {
+        const { status, search, sort, limit, cursor } = req.query;
+
+        const filter = searchFilter(search, ["name", "email"]);
+        if (status !== "all") filter.status = status;
+
+        const { items, ...page } = await paginate(creatorRequestsCollection, {
+          filter,
+          sort,
+          limit,
+          cursor,
+        });
+        res.send({ requests: items, ...page });
+      } catch (err) {
+        console.error("Error fetching creator requests:", err);
+        sendError(res, 500, "Failed to fetch creator requests");
+      }
+    }
+  );
+
+  // Approve or reject a creator application (Admin only)
+  app.patch(
+    "/creator-request-status/:id",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.creatorRequestStatus),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+        const { status, note } = req.body;
+
+        const application = await decideCreatorApplication(
+          { _id: new ObjectId(id) },
+          { status, reviewerNote: note || null, decidedBy: req.tokenEmail }
+        );
+
+        if (!application) {
+          return sendError(res, 404, "No pending application found.");
+        }
+
+        await recordAudit(req, {
+          action: "creator_application.decide",
+          targetType: "creatorApplication",
+          targetId: id,
+          before: { status: "Pending" },
+          after: { status, reviewerNote: application.reviewerNote },
+          details: { email: application.email },
+        });
+
+        await announceCreatorDecision(application);
+
+        res.send({
+          message: `Application ${status.toLowerCase()} successfully!`,
+          application,
+        });
+      } catch (err) {
+        console.error("Error deciding creator application:", err);
+        sendError(res, 500, "Failed to update application");
+      }
+    }
+  );
+
+  // --- END CREATOR APPLICATIONS ---
+
+  // get all users for admin
+  app.get(
+    "/users",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.listUsers),
+    async (req, res) => {
+      try {
+        const { search, role, status, sort, limit, cursor } = req.query;
+
+        const filter = {
+          ...searchFilter(search, ["name", "email"]),
+          email: { $ne: req.tokenEmail },
+        };
+        if (role) filter.role = role;
+        // Accounts from before suspensions existed have no status
+        if (status === "Active") {
+          filter.accountStatus = { $nin: ["Suspended", "Banned"] };
+        } else if (status) {
+          filter.accountStatus = status;
+        }
+
+        const { items, ...page } = await paginate(usersCollection, {
+          filter,
+          sort,
+          limit,
+          cursor,
+        });
+        res.send({ users: items, ...page });
+      } catch (err) {
+        console.error("Error fetching users:", err);
+        sendError(res, 500, "Failed to fetch users");
+      }
+    }
+  );
+
+  // ---update role (admin)
+  app.patch(
+    "/update-role",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.updateRole),
+    async (req, res) => {
+      const { email, role } = req.body;
+      const before = await usersCollection.findOne({ email });
+      const result = await usersCollection.updateOne(
+        { email },
+        { $set: { role } }
+      );
+
+      // Promoting someone with a pending application approves it as well
+      const application =
+        role === "contestCreator"
+          ? await decideCreatorApplication(
+              { email },
+              {
+                status: "Approved",
+                reviewerNote: null,
+                decidedBy: req.tokenEmail,
+              }
+            )
+          : null;
+
+      await recordAudit(req, {
+        action: "user.role_update",
+        targetType: "user",
+        targetId: email,
+        before: before && { role: before.role },
+        after: { role },
+        details: application ? { creatorApplicationId: application._id } : null,
+      });
+
+      if (application) {
+        await announceCreatorDecision(application);
+      } else if (result.modifiedCount > 0) {
+        await notify(email, {
+          type: "role_updated",
+          title: "Role updated",
+          message: `Your role has been changed to ${role}.`,
+          data: { role },
+        });
+      }
+
+      res.send(result);
+    }
+  );
+
+  // ---account suspension (admin)
+  // Suspended (until a date) and banned users are blocked in verifyJWT,
+  // disabled in Firebase and their contests are hidden from GET /contests.
+  const SUSPENSION_CHECK_INTERVAL_MS = 5 * 60 * 1000;
+
+  // Disabling also revokes refresh tokens so no new ID tokens are issued.
+  // Returns false when Firebase could not be updated.
+  const syncFirebaseAccount = async (email, disabled) => {
+    try {
+      const { uid } = await auth.getUserByEmail(email);
+      if (disabled) await auth.revokeRefreshTokens(uid);
+      await auth.updateUser(uid, { disabled });
+      return true;
+    } catch (err) {
+      if (err.code === "auth/user-not-found") return true;
+      console.error(`Error syncing Firebase account for ${email}:`, err);
+      return false;
+    }
+  };
+
+  const setCreatorContestsHidden = (email, hidden) =>
+    contestsCollection.updateMany(
+      { "contestCreator.email": email },
+      hidden
+        ? { $set: { creatorSuspended: true } }
+        : { $unset: { creatorSuspended: "" } }
+    );
+
+  const STATUS_ACTIONS = {
+    Active: "user.reinstate",
+    Suspended: "user.suspend",
+    Banned: "user.ban",
+  };
+
+  app.patch(
+    "/user-status",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.updateUserStatus),
+    async (req, res) => {
+      try {
+        const { email, status, reason, until } = req.body;
+
+        if (email === req.tokenEmail) {
+          return sendError(
+            res,
+            400,
+            "You cannot change your own account status."
+          );
+        }
+
+        const before = await usersCollection.findOne({ email });
+        if (!before) return sendError(res, 404, "User not found.");
+        if (before.role === "admin" && status !== "Active") {
+          return sendError(
+            res,
+            400,
+            "Admins cannot be suspended or banned; change their role first."
+          );
+        }
+
+        const blocked = status !== "Active";
+        const suspension = blocked
+          ? {
+              reason,
+              until: status === "Suspended" ? until : null,
+              by: req.tokenEmail,
+              at: new Date(),
+            }
+          : null;
+
+        await usersCollection.updateOne(
+          { email },
+          { $set: { accountStatus: status, suspension } }
+        );
+        await setCreatorContestsHidden(email, blocked);
+        const firebaseSynced = await syncFirebaseAccount(email, blocked);
+
+        await recordAudit(req, {
+          action: STATUS_ACTIONS[status],
+          targetType: "user",
+          targetId: email,
+          before: {
+            accountStatus: before.accountStatus || "Active",
+            suspension: before.suspension || null,
+          },
+          after: { accountStatus: status, suspension },
+          details: { firebaseSynced },
+        });
+
+        await queueEmail(email, "accountStatusChanged", {
+          status,
+          reason,
+          until: suspension?.until,
+        });
+
+        res.send({
+          message: `Account status changed to ${status}.`,
+          accountStatus: status,
+          suspension,
+          firebaseSynced,
+        });
+      } catch (err) {
+        console.error("Error updating account status:", err);
+        sendError(res, 500, "Failed to update account status");
+      }
+    }
+  );
+
+  // Reinstates suspensions whose end date has passed
+  const liftExpiredSuspensions = async () => {
+    if (
+      !(await acquireLock("account-suspensions", SUSPENSION_CHECK_INTERVAL_MS))
+    ) {
+      return;
+    }
+
+    const now = new Date();
+    const expired = await usersCollection
+      .find({ accountStatus: "Suspended", "suspension.until": { $lte: now } })
+      .project({ email: 1 })
+      .toArray();
+
+    for (const { email } of expired) {
+      const result = await usersCollection.updateOne(
+        {
+          email,
+          accountStatus: "Suspended",
+          "suspension.until": { $lte: now },
+        },
+        { $set: { accountStatus: "Active", suspension: null } }
+      );
+      if (result.modifiedCount === 0) continue;
+
+      await setCreatorContestsHidden(email, false);
+      await syncFirebaseAccount(email, false);
+      await queueEmail(email, "accountStatusChanged", { status: "Active" });
+    }
+  };
+
+  // --- NOTIFICATION ROUTES ---
+
+  // List the current user's notifications (newest first)
+  app.get(
+    "/notifications",
+    verifyJWT,
+    validate(schemas.listNotifications),
+    async (req, res) => {
+      try {
+        const { page, limit } = req.query;
+        const query = { recipient: req.tokenEmail };
+
+        if (req.query.unread === "true") {
+          query.isRead = false;
+        }
+
+        const total = await notificationsCollection.countDocuments(query);
+        const notifications = await notificationsCollection
+          .find(query)
+          .sort({ createdAt: -1 })
+          .skip((page - 1) * limit)
+          .limit(limit)
+          .toArray();
+
+        res.send({
+          notifications,
+          total,
+          currentPage: page,
+          totalPages: Math.ceil(total / limit),
+          limit,
+        });
+      } catch (err) {
+        console.error("Error fetching notifications:", err);
+        sendError(res, 500, "Failed to fetch notifications");
+      }
+    }
+  );
+
+  // Unread badge count
+  app.get("/notifications/unread-count", verifyJWT, async (req, res) => {
+    try {
+      const count = await notificationsCollection.countDocuments({
+        recipient: req.tokenEmail,
+        isRead: false,
+      });
+      res.send({ count });
+    } catch (err) {
+      console.error("Error counting unread notifications:", err);
+      sendError(res, 500, "Failed to count notifications");
+    }
+  });
+
+  // Mark every notification as read
+  app.patch("/notifications/read-all", verifyJWT, async (req, res) => {
+    try {
+      const result = await notificationsCollection.updateMany(
+        { recipient: req.tokenEmail, isRead: false },
+        { $set: { isRead: true, readAt: new Date() } }
+      );
+      res.send({ message: "All notifications marked as read", result });
+    } catch (err) {
+      console.error("Error marking notifications read:", err);
+      sendError(res, 500, "Failed to update notifications");
+    }
+  });
+
+  // Mark a single notification as read
+  app.patch(
+    "/notifications/:id/read",
+    verifyJWT,
+    validate(schemas.readNotification),
+    async (req, res) => {
+      try {
+        const { id } = req.params;
+
+        const result = await notificationsCollection.updateOne(
+          { _id: new ObjectId(id), recipient: req.tokenEmail },
+          { $set: { isRead: true, readAt: new Date() } }
+        );
+
+        if (result.matchedCount === 0) {
+          return sendError(res, 404, "Notification not found.");
+        }
+
+        res.send({ message: "Notification marked as read", result });
+      } catch (err) {
+        console.error("Error marking notification read:", err);
+        sendError(res, 500, "Failed to update notification");
+      }
+    }
+  );
+
+  // --- END NOTIFICATION ROUTES ---
+
+  // --- Get Comprehensive Participant Statistics ---
+  app.get("/Participant-stats", verifyJWT, async (req, res) => {
+    try {
+      const email = req.tokenEmail;
+
+      // 1. Get Basic Counts (Participation & Wins)
+      const participationCount = await ordersCollection.countDocuments({
+        participant: email,
+        status: "Paid",
+      });
+
+      const winCount = await contestsCollection.countDocuments({
+        "winner.email": email,
+        status: "Completed",
+      });
+
+      // 2. Aggregate Participation by Category (for chart data)
+      const categoryStats = await ordersCollection
+        .aggregate([
+          { $match: { participant: email, status: "Paid" } },
+          // Join orders with contests to get the category
+          {
+            $lookup: {
+              from: "contests",
+              localField: "contestId",
+              foreignField: "_id",
+              as: "contestDetails",
+            },
+          },
+          { $unwind: "$contestDetails" },
+          // Group by category and count
+          {
+            $group: {
+              _id: "$contestDetails.category",
+              count: { $sum: 1 },
+            },
+          },
+          { $sort: { count: -1 } },
+        ])
+        .toArray();
+
+      // 3. Calculate Win Percentage
+      let winPercentage = 0;
+      if (participationCount > 0) {
+        winPercentage = (winCount / participationCount) * 100;
+      }
+
+      res.send({
+        participationCount,
+        winCount,
+        winPercentage: winPercentage.toFixed(2),
+        categoryStats,
+        // Note: You can add highestPrizeMoney here if needed
+      });
+    } catch (err) {
+      console.error("Error fetching Participant statistics:", err);
+      sendError(res, 500, "Failed to fetch statistics");
+    }
+  });
+
+  // ---  Get Comprehensive Creator Statistics ---
+  app.get("/creator-stats", verifyJWT, verifyCREATOR, async (req, res) => {
+    try {
+      const creatorEmail = req.tokenEmail;
+
+      // 1. Total Contests Created
+      const totalContests = await contestsCollection.countDocuments({
+        "contestCreator.email": creatorEmail,
+      });
+
+      // 2. Aggregate Total Earnings and Participations
+      const statsResult = await contestsCollection
+        .aggregate([
+          {
+            $match: {
+              "contestCreator.email": creatorEmail,
+              status: {
+                $in: ["Pending", "Confirmed", "Closed", "Completed"],
+              },
+            },
+          },
+
+          //  Lookup with $toString to reliably match ObjectId ($_id) with String (orders.contestId)
+          {
+            $lookup: {
+              from: "orders",
+              let: { contest_id: "$_id" },
+              pipeline: [
+                {
+                  $match: {
+                    $expr: {
+                      $and: [
+                        { $eq: ["$status", "Paid"] },
+                        {
+                          $or: [
+                            {
+                              $eq: [
+                                "$contestId",
+                                { $toString: "$$contest_id" },
+                              ],
+                            },
+                            { $eq: ["$contestId", "$$contest_id"] },
+                          ],
+                        },
+                      ],
+                    },
+                  },
+                },
+              ],
+              as: "participations",
+            },
+          },
+
+          // 3. Unwind participations to process each order
+          {
+            $unwind: {
+              path: "$participations",
+              preserveNullAndEmptyArrays: true,
+            },
+          },
+
+          // 4. Group and calculate totals
+          {
+            $group: {
+              _id: null,
+              // totalRevenue: Sum contestFee only if the participation field is not null
+              totalRevenue: {
+                $sum: {
+                  $cond: [
+                    { $ne: ["$participations", null] },
+                    "$participations.contestFee",
+                    0,
+                  ],
+                },
+              },
+              // totalParticipants: Count only if participation exists
+              totalParticipants: {
+                $sum: {
+                  $cond: [{ $ne: ["$participations", null] }, 1, 0],
+                },
+              },
+
+              // Count contests by status (from the contests' original status)
+              pendingContests: {
+                $sum: { $cond: [{ $eq: ["$status", "Pending"] }, 1, 0] },
+              },
+              confirmedContests: {
+                $sum: { $cond: [{ $eq: ["$status", "Confirmed"] }, 1, 0] },
+              },
+              closedContests: {
+                $sum: { $cond: [{ $eq: ["$status", "Closed"] }, 1, 0] },
+              },
+              completedContests: {
+                $sum: { $cond: [{ $eq: ["$status", "Completed"] }, 1, 0] },
+              },
+            },
+          },
+
+          // 5. Project the final output structure
+          {
+            $project: {
+              _id: 0,
+              totalRevenue: 1,
+              totalParticipants: 1,
+              pendingContests: 1,
+              confirmedContests: 1,
+              closedContests: 1,
+              completedContests: 1,
+            },
+          },
+        ])
+        .toArray();
+
+      const defaultStats = {
+        totalRevenue: 0,
+        totalParticipants: 0,
+        pendingContests: 0,
+        confirmedContests: 0,
+        closedContests: 0,
+        completedContests: 0,
+      };
+
+      const finalStats = statsResult.length > 0 ? statsResult[0] : defaultStats;
+
+      res.send({
+        totalContests,
+        ...finalStats,
+      });
+    } catch (err) {
+      console.error("Error fetching creator statistics:", err);
+      sendError(res, 500, "Failed to fetch statistics");
+    }
+  });
+
+  // Creator analytics over a date range: revenue, registrations and
+  // submissions per day/week/month, plus lifetime conversion per contest
+  // and the best-performing categories in the range.
+  app.get(
+    "/creator-analytics",
+    verifyJWT,
+    verifyCREATOR,
+    validate(schemas.creatorAnalytics),
+    async (req, res) => {
+      try {
+        const { interval } = req.query;
+        const range = resolveRange(req.query);
+
+        const contests = await contestsCollection
+          .find(
+            {
+              "contestCreator.email": req.tokenEmail,
+              status: { $nin: ["Rejected"] },
+            },
+            { projection: { name: 1, category: 1, status: 1, createdAt: 1 } }
+          )
+          .toArray();
+        const contestIds = contests.map((contest) => contest._id.toString());
+
+        const paidInRange = {
+          contestId: { $in: contestIds },
+          status: "Paid",
+          paidAt: { $gte: range.from, $lte: range.to },
+        };
+        const submittedInRange = {
+          contestId: { $in: contestIds },
+          submittedAt: { $gte: range.from, $lte: range.to },
+          ...ACTIVE_SUBMISSION,
+        };
+
+        const [orderBuckets, submissionBuckets] = await Promise.all([
+          ordersCollection
+            .aggregate([
+              { $match: paidInRange },
+              {
+                $group: {
+                  _id: bucketStart("$paidAt", interval),
+                  revenue: { $sum: "$contestFee" },
+                  registrations: { $sum: 1 },
+                },
+              },
+            ])
+            .toArray(),
+          submissionsCollection
+            .aggregate([
+              { $match: submittedInRange },
+              {
+                $group: {
+                  _id: bucketStart("$submittedAt", interval),
+                  value: { $sum: 1 },
+                },
+              },
+            ])
+            .toArray(),
+        ]);
+
+        const series = buildSeries(range, interval, {
+          revenue: orderBuckets.map(({ _id, revenue }) => ({
+            _id,
+            value: revenue,
+          })),
+          registrations: orderBuckets.map(({ _id, registrations }) => ({
+            _id,
+            value: registrations,
+          })),
+          submissions: submissionBuckets,
+        });
+
+        const totals = series.reduce(
+          (sum, row) => ({
+            revenue: sum.revenue + row.revenue,
+            registrations: sum.registrations + row.registrations,
+            submissions: sum.submissions + row.submissions,
+          }),
+          { revenue: 0, registrations: 0, submissions: 0 }
+        );
+
+        // Conversion counts every registration and submission, not just
+        // the ones inside the range
+        const [registrationsByContest, submissionsByContest] =
+          await Promise.all([
+            ordersCollection
+              .aggregate([
+                { $match: { contestId: { $in: contestIds }, status: "Paid" } },
+                {
+                  $group: {
+                    _id: "$contestId",
+                    count: { $sum: 1 },
+                    revenue: { $sum: "$contestFee" },
+                  },
+                },
+              ])
+              .toArray(),
+            submissionsCollection
+              .aggregate([
+                {
+                  $match: {
+                    contestId: { $in: contestIds },
+                    ...ACTIVE_SUBMISSION,
+                  },
+                },
+                { $group: { _id: "$contestId", count: { $sum: 1 } } },
+              ])
+              .toArray(),
+          ]);
+
+        const contestStats = contests
+          .map((contest) => {
+            const id = contest._id.toString();
+            const registered = registrationsByContest.find(
+              (item) => item._id === id
+            );
+            const submitted = submissionsByContest.find(
+              (item) => item._id === id
+            );
+            const registrations = registered?.count || 0;
+            const submissions = submitted?.count || 0;
+
+            return {
+              contestId: id,
+              name: contest.name,
+              category: contest.category,
+              status: contest.status,
+              revenue: registered?.revenue || 0,
+              registrations,
+              submissions,
+              conversionRate: registrations
+                ? Number(((submissions / registrations) * 100).toFixed(2))
+                : 0,
+            };
+          })
+          .sort((a, b) => b.registrations - a.registrations);
+
+        const topCategories = await ordersCollection
+          .aggregate([
+            { $match: paidInRange },
+            {
+              $group: {
+                _id: "$category",
+                revenue: { $sum: "$contestFee" },
+                registrations: { $sum: 1 },
+                contests: { $addToSet: "$contestId" },
+              },
+            },
+            {
+              $project: {
+                _id: 0,
+                category: "$_id",
+                revenue: 1,
+                registrations: 1,
+                contests: { $size: "$contests" },
+              },
+            },
+            { $sort: { revenue: -1, registrations: -1 } },
+            { $limit: 5 },
+          ])
+          .toArray();
+
+        res.send({
+          range,
+          interval,
+          totals,
+          series,
+          contests: contestStats,
+          topCategories,
+        });
+      } catch (err) {
+        console.error("Error fetching creator analytics:", err);
+        sendError(res, 500, "Failed to fetch analytics");
+      }
+    }
+  );
+
+  // --- NEW API ROUTE: Get Comprehensive Admin Statistics ---
+  app.get("/admin-stats", verifyJWT, verifyADMIN, async (req, res) => {
+    try {
+      // 1. Total Users
+      const totalUsers = await usersCollection.countDocuments();
+
+      // 2. Total Contests Created
+      const totalContests = await contestsCollection.countDocuments();
+
+      // 3. Aggregate Total Revenue and Total Orders (Participations)
+      // We only need aggregation on the ordersCollection
+      const statsResult = await ordersCollection
+        .aggregate([
+          { $match: { status: "Paid" } },
+          {
+            $group: {
+              _id: null,
+              totalRevenue: { $sum: "$contestFee" }, // Sum of all contest fees
+              totalOrders: { $sum: 1 }, // Count of all orders/participations
+            },
+          },
+          {
+            $project: {
+              _id: 0,
+              totalRevenue: 1,
+              totalOrders: 1,
+            },
+          },
+        ])
+        .toArray();
+
+      // Default stats if no orders exist
+      const { totalRevenue = 0, totalOrders = 0 } = statsResult[0] || {};
+
+      // 4. Contest Status Breakdown for a chart (optional but useful)
+      const statusBreakdown = await contestsCollection
+        .aggregate([
+          {
+            $group: {
+              _id: "$status",
+              count: { $sum: 1 },
+            },
+          },
+        ])
+        .toArray();
+
+      // Reformat status breakdown into an object for easy access
+      const formattedStatus = statusBreakdown.reduce((acc, item) => {
+        acc[item._id] = item.count;
+        return acc;
+      }, {});
+
+      res.send({
+        totalUsers,
+        totalContests,
+        totalRevenue,
+        totalOrders,
+        statusBreakdown: formattedStatus,
+      });
+    } catch (err) {
+      console.error("Error fetching admin statistics:", err);
+      sendError(res, 500, "Failed to fetch admin statistics");
+    }
+  });
+
+  // ---admin reports---
+  // `users.created_at` is stored as an ISO string, so range filters compare
+  // strings and bucketing converts it first.
+  const signupsInRange = (range) => ({
+    created_at: {
+      $gte: range.from.toISOString(),
+      $lte: range.to.toISOString(),
+    },
+  });
+  const paidInRange = (range) => ({
+    status: "Paid",
+    paidAt: { $gte: range.from, $lte: range.to },
+  });
+  // Review decisions come from the append-only audit log, so a contest that
+  // later closes or is cancelled still counts as approved when it was.
+  const reviewedInRange = (range) => ({
+    action: "contest.status_update",
+    "details.status": { $in: ["Confirmed", "Rejected"] },
+    at: { $gte: range.from, $lte: range.to },
+  });
+
+  const summarizePeriod = async (range) => {
+    const [signups, newContests, orderTotals, reviews, refundTotals] =
+      await Promise.all([
+        usersCollection.countDocuments(signupsInRange(range)),
+        contestsCollection.countDocuments({
+          createdAt: { $gte: range.from, $lte: range.to },
+        }),
+        ordersCollection
+          .aggregate([
+            { $match: paidInRange(range) },
+            {
+              $group: {
+                _id: null,
+                revenue: { $sum: "$contestFee" },
+                orders: { $sum: 1 },
+              },
+            },
+          ])
+          .toArray(),
+        auditLogsCollection
+          .aggregate([
+            { $match: reviewedInRange(range) },
+            {
+              $group: {
+                _id: null,
+                approvals: {
+                  $sum: {
+                    $cond: [{ $eq: ["$details.status", "Confirmed"] }, 1, 0],
+                  },
+                },
+                rejections: {
+                  $sum: {
+                    $cond: [{ $eq: ["$details.status", "Rejected"] }, 1, 0],
+                  },
+                },
+              },
+            },
+          ])
+          .toArray(),
+        ordersCollection
+          .aggregate([
+            {
+              $match: {
+                "refund.status": "Succeeded",
+                "refund.refundedAt": { $gte: range.from, $lte: range.to },
+              },
+            },
+            {
+              $group: {
+                _id: null,
+                count: { $sum: 1 },
+                amount: { $sum: "$refund.amount" },
+              },
+            },
+          ])
+          .toArray(),
+      ]);
+
+    // Refunded orders leave "Paid", so revenue and orders are net of refunds
+    return {
+      signups,
+      newContests,
+      revenue: orderTotals[0]?.revenue || 0,
+      orders: orderTotals[0]?.orders || 0,
+      approvals: reviews[0]?.approvals || 0,
+      rejections: reviews[0]?.rejections || 0,
+      refunds: refundTotals[0]?.count || 0,
+      refundedAmount: refundTotals[0]?.amount || 0,
+    };
+  };
+
+  // Platform report for a date range, compared with the period before it
+  app.get(
+    "/admin-reports",
+    verifyJWT,
+    verifyADMIN,
+    validate(schemas.adminReport),
+    async (req, res) => {
+      try {
+        const { interval } = req.query;
+        const range = resolveRange(req.query);
+        const previous = previousRange(range);
+
+        const [current, before] = await Promise.all([
+          summarizePeriod(range),
+          summarizePeriod(previous),
+        ]);
+        const change = Object.fromEntries(
+          Object.keys(current).map((key) => [
+            key,
+            percentChange(current[key], before[key]),
+          ])
+        );
+
+        const [signupBuckets, orderBuckets, reviewBuckets] = await Promise.all([
+          usersCollection
+            .aggregate([
+              { $match: signupsInRange(range) },
+              {
+                $group: {
+                  _id: bucketStart({ $toDate: "$created_at" }, interval),
+                  value: { $sum: 1 },
+                },
+              },
+            ])
+            .toArray(),
+          ordersCollection
+            .aggregate([
+              { $match: paidInRange(range) },
+              {
+                $group: {
+                  _id: bucketStart("$paidAt", interval),
+                  revenue: { $sum: "$contestFee" },
+                  orders: { $sum: 1 },
+                },
+              },
+            ])
+            .toArray(),
+          auditLogsCollection
+            .aggregate([
+              { $match: reviewedInRange(range) },
+              {
+                $group: {
+                  _id: bucketStart("$at", interval),
+                  approvals: {
+                    $sum: {
+                      $cond: [{ $eq: ["$details.status", "Confirmed"] }, 1, 0],
+                    },
+                  },
+                  rejections: {
+                    $sum: {
+                      $cond: [{ $eq: ["$details.status", "Rejected"] }, 1, 0],
+                    },
+                  },
+                },
+              },
+            ])
+            .toArray(),
+        ]);
+
+        const series = buildSeries(range, interval, {
+          signups: signupBuckets,
+          revenue: orderBuckets.map(({ _id, revenue }) => ({
+            _id,
+            value: revenue,
+          })),
+          orders: orderBuckets.map(({ _id, orders }) => ({
+            _id,
+            value: orders,
+          })),
+          approvals: reviewBuckets.map(({ _id, approvals }) => ({
+            _id,
+            value: approvals,
+          })),
+          rejections: reviewBuckets.map(({ _id, rejections }) => ({
+            _id,
+            value: rejections,
+          })),
+        });
+
+        const [byCategory, byCreator] = await Promise.all([
+          ordersCollection
+            .aggregate([
+              { $match: paidInRange(range) },
+              {
+                $group: {
+                  _id: "$category",
+                  revenue: { $sum: "$contestFee" },
+                  orders: { $sum: 1 },
+                  contests: { $addToSet: "$contestId" },
+                },
+              },
+              {
+                $project: {
+                  _id: 0,
+                  category: "$_id",
+                  revenue: 1,
+                  orders: 1,
+                  contests: { $size: "$contests" },
+                },
+              },
+              { $sort: { revenue: -1, orders: -1 } },
+            ])
+            .toArray(),
+          ordersCollection
+            .aggregate([
+              { $match: paidInRange(range) },
+              {
+                $group: {
+                  _id: "$contestCreator.email",
+                  name: { $first: "$contestCreator.name" },
+                  revenue: { $sum: "$contestFee" },
+                  orders: { $sum: 1 },
+                  contests: { $addToSet: "$contestId" },
+                },
+              },
+              {
+                $project: {
+                  _id: 0,
+                  email: "$_id",
+                  name: 1,
+                  revenue: 1,
+                  orders: 1,
+                  contests: { $size: "$contests" },
+                },
+              },
+              { $sort: { revenue: -1, orders: -1 } },
+              { $limit: 20 },
+            ])
+            .toArray(),
+        ]);
+
+        const pendingRefunds = await ordersCollection.countDocuments({
+          "refund.status": { $in: ["Pending", "Processing", "Failed"] },
+        });
+
+        res.send({
+          range,
+          previousRange: previous,
+          interval,
+          summary: { current, previous: before, change },
+          series,
+          byCategory,
+          byCreator,
+          pendingRefunds,
+        });
+      } catch (err) {
+        console.error("Error building admin report:", err);
+        sendError(res, 500, "Failed to build admin report");
+      }
+    }
+  );
+
+  // POST Contact Message Route
+  app.post(
+    "/contact",
+    contactLimit,
+    validate(schemas.contact),
+    async (req, res) => {
+      try {
+        const messageData = req.body;
+
+        const { name, email, message } = messageData;
+        const doc = {
+          name: name,
+          email: email,
+          message: message,
+          receivedAt: new Date(),
+          isRead: false,
+          isArchived: false,
+          assignedTo: null,
+          replies: [],
+        };
+
+        const result = await contactMessagesCollection.insertOne(doc);
+
+        await queueEmail(email, "contactReceived");
+
+        res.status(201).send({
+          message:
+            "Message received successfully! We will get back to you soon.",
+          insertedId: result.insertedId,
+        });
+      } catch (err) {
+        console.error("Error saving contact message:", err);
+        sendError(res, 500, "Failed to process your message.");
+      }
+    }
+  );
+
+  // --- END STATE API ROUTE ---
+
+  // Root route
+  app.get("/", (req, res) => {
+    res.send("Hello from Server..");
+  });
+
+  // Must stay last
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  // Submissions predating the unique index may repeat a (contest, email)
+  // pair. The latest one stays active and the rest are flagged superseded,
+  // then the old all-rows unique index is replaced by a partial one.
+  const supersedeDuplicateSubmissions = async () => {
+    const duplicates = await submissionsCollection
+      .aggregate([
+        { $match: ACTIVE_SUBMISSION },
+        { $sort: { submittedAt: -1, _id: -1 } },
+        {
+          $group: {
+            _id: { contestId: "$contestId", email: "$email" },
+            ids: { $push: "$_id" },
+          },
+        },
+        { $match: { "ids.1": { $exists: true } } },
+      ])
+      .toArray();
+
+    const olderIds = duplicates.flatMap((group) => group.ids.slice(1));
+    if (olderIds.length > 0) {
+      await submissionsCollection.updateMany(
+        { _id: { $in: olderIds } },
+        { $set: { superseded: true, supersededAt: new Date() } }
+      );
+      console.log(`Superseded ${olderIds.length} duplicate submissions`);
+    }
+
+    await submissionsCollection.updateMany(
+      { superseded: { $exists: false } },
+      { $set: { superseded: false } }
+    );
+
+    try {
+      await submissionsCollection.dropIndex("contestId_1_email_1");
+    } catch (err) {
+      if (!["IndexNotFound", "NamespaceNotFound"].includes(err.codeName)) {
+        throw err;
+      }
+    }
+  };
+
+  const ensureIndexes = async () => {
+    await ordersCollection.createIndex(
+      { sessionId: 1 },
+      {
+        unique: true,
+        partialFilterExpression: { sessionId: { $exists: true } },
+      }
+    );
+    await ordersCollection.createIndex({ transactionId: 1 });
+    await contestsCollection.createIndex({ "winners.email": 1 });
+    await contestsCollection.createIndex({ "judges.email": 1 });
+    await contestsCollection.createIndex({ status: 1, deadline: 1 });
+    await contestsCollection.createIndex({ status: 1, closedAt: 1 });
+    await contestsCollection.createIndex(
+      { "pendingRevision.submittedAt": 1 },
+      { sparse: true }
+    );
+    await contestsCollection.createIndex(
+      { name: "text", description: "text", taskInstruction: "text" },
+      {
+        name: "contest_text_search",
+        weights: { name: 10, description: 5, taskInstruction: 2 },
+      }
+    );
+    await contestsCollection.createIndex({ status: 1, createdAt: -1 });
+    await contestsCollection.createIndex({ status: 1, prizeMoney: -1 });
+    await contestsCollection.createIndex({ status: 1, participantsCount: -1 });
+    await contestsCollection.createIndex({ status: 1, contestFee: 1 });
+    await scoresCollection.createIndex(
+      { submissionId: 1, judge: 1 },
+      { unique: true }
+    );
+    await scoresCollection.createIndex({ contestId: 1, judge: 1 });
+    await notificationsCollection.createIndex({ recipient: 1, createdAt: -1 });
+    await notificationsCollection.createIndex({ recipient: 1, isRead: 1 });
+    await emailOutboxCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+    await auditLogsCollection.createIndex({ at: -1 });
+    await creatorRequestsCollection.createIndex({ email: 1, createdAt: -1 });
+    await creatorRequestsCollection.createIndex(
+      { email: 1 },
+      { unique: true, partialFilterExpression: { status: "Pending" } }
+    );
+    await auditLogsCollection.createIndex({ actor: 1, at: -1 });
+    await auditLogsCollection.createIndex({ "target.id": 1, at: -1 });
+    await submissionsCollection.createIndex(
+      { contestId: 1, email: 1 },
+      {
+        name: "one_active_submission",
+        unique: true,
+        partialFilterExpression: { superseded: false },
+      }
+    );
+    await ordersCollection.createIndex({ contestId: 1, status: 1 });
+    await ordersCollection.createIndex({ status: 1, category: 1, paidAt: -1 });
+    await submissionsCollection.createIndex({ contestId: 1, submittedAt: -1 });
+    await usersCollection.createIndex({ created_at: 1 });
+    await usersCollection.createIndex({ role: 1, created_at: -1 });
+    await usersCollection.createIndex(
+      { accountStatus: 1, "suspension.until": 1 },
+      { sparse: true }
+    );
+    await creatorRequestsCollection.createIndex({ status: 1, createdAt: -1 });
+    await auditLogsCollection.createIndex({ action: 1, at: 1 });
+    await ordersCollection.createIndex(
+      { "refund.status": 1, "refund.refundedAt": 1 },
+      { sparse: true }
+    );
+    await contactMessagesCollection.createIndex({
+      isArchived: 1,
+      receivedAt: -1,
+    });
+    await contactMessagesCollection.createIndex({
+      assignedTo: 1,
+      receivedAt: -1,
+    });
+    await rateLimitsCollection.createIndex(
+      { resetAt: 1 },
+      { expireAfterSeconds: 0 }
+    );
+    await ordersCollection.createIndex({
+      "refund.status": 1,
+      "refund.nextAttemptAt": 1,
+    });
+  };
+
+  const startWorkers = () => {
+    const workers = [];
+
+    // Retry queued and failed refunds in the background
+    workers.push(
+      setInterval(() => {
+        processPendingRefunds().catch((err) =>
+          console.error("Error in refund retry worker:", err)
+        );
+      }, REFUND_RETRY_INTERVAL_MS).unref()
+    );
+
+    // Deliver pending and retry failed emails
+    workers.push(
+      setInterval(() => {
+        processEmailOutbox().catch((err) =>
+          console.error("Error in email outbox worker:", err)
+        );
+      }, EMAIL_RETRY_INTERVAL_MS).unref()
+    );
+
+    // Reinstate users whose suspension has run out
+    workers.push(
+      setInterval(() => {
+        liftExpiredSuspensions().catch((err) =>
+          console.error("Error in suspension expiry worker:", err)
+        );
+      }, SUSPENSION_CHECK_INTERVAL_MS).unref()
+    );
+
+    // Move contests through their deadline-driven states
+    workers.push(
+      setInterval(() => {
+        runContestLifecycle().catch((err) =>
+          console.error("Error in contest lifecycle scheduler:", err)
+        );
+      }, LIFECYCLE_INTERVAL_MS).unref()
+    );
+
+    return () => workers.forEach(clearInterval);
+  };
+
+  // Workers start right away instead of waiting for the migrations and index
+  // builds, which can be slow on a large database. If those fail the
+  // workers are stopped again and the returned promise rejects.
+  const start = async () => {
+    const stop = startWorkers();
+
+    try {
+      // Requests saved before applications had a status are pending ones
+      await creatorRequestsCollection.updateMany(
+        { status: { $exists: false } },
+        { $set: { status: "Pending", createdAt: new Date() } }
+      );
+
+      await supersedeDuplicateSubmissions();
+
+      await ensureIndexes();
+    } catch (err) {
+      stop();
+      throw err;
+    }
+
+    backfillBadges().catch((err) =>
+      console.error("Error backfilling badges:", err)
+    );
+
+    return stop;
+  };
+
+  return { app, start };
+};
+
+module.exports = { createApp };
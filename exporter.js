@@ -0,0 +1,86 @@
+const { once } = require("events");
+
+// Streams a MongoDB cursor to the response as CSV or a JSON array, one
+// document at a time, so exports never hold a whole collection in memory.
+//
+// `columns` is a list of { key, value(doc) }; `key` doubles as the CSV
+// header and the JSON property name.
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+const toCell = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+
+  let text = String(value);
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const csvLine = (values) => values.map(toCell).join(",") + "\r\n";
+
+const streamExport = async (res, { cursor, columns, format, fileName }) => {
+  let aborted = false;
+  res.on("close", () => {
+    aborted = !res.writableFinished;
+  });
+
+  const write = async (chunk) => {
+    if (!res.write(chunk)) {
+      await Promise.race([once(res, "drain"), once(res, "close")]);
+    }
+  };
+
+  res.status(200);
+  res.set(
+    "Content-Type",
+    format === "csv" ? "text/csv; charset=utf-8" : "application/json"
+  );
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="${fileName}.${format}"`
+  );
+
+  try {
+    if (format === "csv") {
+      await write(csvLine(columns.map((column) => column.key)));
+    } else {
+      await write("[");
+    }
+
+    let first = true;
+    for await (const doc of cursor) {
+      if (aborted) break;
+
+      const values = columns.map((column) => column.value(doc));
+      if (format === "csv") {
+        await write(csvLine(values));
+      } else {
+        const row = Object.fromEntries(
+          columns.map((column, index) => [column.key, values[index] ?? null])
+        );
+        await write((first ? "" : ",") + JSON.stringify(row));
+      }
+      first = false;
+    }
+
+    if (!aborted) res.end(format === "csv" ? "" : "]");
+  } catch (err) {
+    // Headers are already sent, so the only signal left is a cut stream
+    console.error(`Error streaming ${fileName} export:`, err);
+    res.destroy(err);
+  } finally {
+    await cursor.close();
+  }
+};
+
+// "Spring Logo Contest", "participants" -> Spring_Logo_Contest-participants-2026-10-19
+const exportFileName = (...parts) =>
+  [...parts, new Date().toISOString().slice(0, 10)]
+    .join("-")
+    .replace(/[^\w.-]+/g, "_");
+
+module.exports = { streamExport, exportFileName };
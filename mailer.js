@@ -0,0 +1,219 @@
+const fs = require("fs");
+const path = require("path");
+const nodemailer = require("nodemailer");
+
+const APP_NAME = process.env.APP_NAME || "ContestHub";
+const CLIENT_DOMAIN = process.env.CLIENT_DOMAIN || "http://localhost:5173";
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Wraps plain paragraphs in the shared HTML layout
+const layout = (paragraphs, link) => {
+  const body = paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`).join("");
+  const button = link
+    ? `<p><a href="${escapeHtml(CLIENT_DOMAIN + link)}">Open ${escapeHtml(
+        APP_NAME
+      )}</a></p>`
+    : "";
+
+  return {
+    text: [...paragraphs, link ? CLIENT_DOMAIN + link : ""]
+      .filter(Boolean)
+      .join("\n\n"),
+    html: `<div style="font-family:sans-serif">${body}${button}<p>— ${escapeHtml(
+      APP_NAME
+    )}</p></div>`,
+  };
+};
+
+// --- Templates ---
+// Each template receives plain data and returns { subject, text, html }.
+const templates = {
+  paymentReceipt: ({ contestName, amount, transactionId, contestId }) => ({
+    subject: `Payment receipt for ${contestName}`,
+    ...layout(
+      [
+        `Thanks for registering for "${contestName}".`,
+        ...(transactionId
+          ? [
+              `Amount paid: $${Number(amount).toFixed(2)}`,
+              `Transaction ID: ${transactionId}`,
+            ]
+          : ["This contest is free, so no payment was taken."]),
+      ],
+      `/contest/${contestId}`
+    ),
+  }),
+
+  contestApproved: ({ contestName, contestId }) => ({
+    subject: `Your contest "${contestName}" is live`,
+    ...layout(
+      [
+        `Good news! Your contest "${contestName}" has been approved and is now open for registrations.`,
+      ],
+      `/contest/${contestId}`
+    ),
+  }),
+
+  contestRejected: ({ contestName, reason }) => ({
+    subject: `Your contest "${contestName}" was not approved`,
+    ...layout(
+      [
+        `Unfortunately your contest "${contestName}" was rejected by our review team.`,
+        reason ? `Reason: ${reason}` : "",
+        "Any registration fees already paid will be refunded to participants.",
+      ].filter(Boolean)
+    ),
+  }),
+
+  contestCancelled: ({ contestName }) => ({
+    subject: `"${contestName}" has been cancelled`,
+    ...layout([
+      `The contest "${contestName}" has been cancelled.`,
+      "Any registration fees already paid will be refunded.",
+    ]),
+  }),
+
+  winnerDeclared: ({ contestName, placement, prize, contestId }) => ({
+    subject: `You placed #${placement} in "${contestName}"!`,
+    ...layout(
+      [
+        `Congratulations! You took place #${placement} in "${contestName}".`,
+        prize ? `Your prize: $${Number(prize).toFixed(2)}` : "",
+      ].filter(Boolean),
+      `/contest/${contestId}`
+    ),
+  }),
+
+  creatorRequestDecision: ({ approved, reason }) => ({
+    subject: approved
+      ? "Your contest creator request was approved"
+      : "Your contest creator request was declined",
+    ...layout(
+      [
+        approved
+          ? "You can now create and manage contests."
+          : "We could not approve your request to become a contest creator this time.",
+        reason ? `Reviewer notes: ${reason}` : "",
+      ].filter(Boolean)
+    ),
+  }),
+
+  accountStatusChanged: ({ status, reason, until }) => ({
+    subject:
+      status === "Active"
+        ? `Your ${APP_NAME} account has been reinstated`
+        : `Your ${APP_NAME} account has been ${status.toLowerCase()}`,
+    ...layout(
+      [
+        status === "Active"
+          ? "Your account is active again and you can sign in as usual."
+          : status === "Suspended"
+            ? `Your account is suspended until ${new Date(until).toUTCString()}.`
+            : "Your account has been banned.",
+        reason ? `Reason: ${reason}` : "",
+      ].filter(Boolean)
+    ),
+  }),
+
+  // Sent to an unverified address, so it carries no text from the form
+  contactReceived: () => ({
+    subject: "We received your message",
+    ...layout([
+      `Thanks for contacting ${APP_NAME}. Our team will get back to you soon.`,
+      "If you did not send us a message, you can ignore this email.",
+    ]),
+  }),
+
+  // Also goes to an unverified address, so none of the form input is echoed
+  contactReply: ({ reply }) => ({
+    subject: `Re: your message to ${APP_NAME}`,
+    ...layout(["Hello,", reply]),
+  }),
+};
+
+const renderEmail = (template, data) => {
+  const render = templates[template];
+  if (!render) throw new Error(`Unknown email template: ${template}`);
+  return render(data || {});
+};
+
+// --- Transports ---
+// A transport is any object with `send({ to, subject, text, html })`
+// returning a promise; EMAIL_TRANSPORT picks one of the built-ins. Only
+// local mode falls back to the console when it is unset, so a missing
+// setting cannot silently drop mail in production.
+const createSmtpTransport = () => {
+  const transporter = nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: Number(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+
+  return {
+    name: "smtp",
+    send: (message) =>
+      transporter.sendMail({
+        from: process.env.EMAIL_FROM || `${APP_NAME} <no-reply@localhost>`,
+        ...message,
+      }),
+  };
+};
+
+// Writes each message as JSON, handy for inspecting mail in local dev
+const createFileTransport = (dir = process.env.EMAIL_FILE_DIR || "./mail") => ({
+  name: "file",
+  send: async (message) => {
+    await fs.promises.mkdir(dir, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^\w.@-]/g, "_")}.json`;
+    await fs.promises.writeFile(
+      path.join(dir, fileName),
+      JSON.stringify(message, null, 2)
+    );
+  },
+});
+
+const createConsoleTransport = () => ({
+  name: "console",
+  send: async (message) => {
+    console.log(`[email] to=${message.to} subject="${message.subject}"`);
+    console.log(message.text);
+  },
+});
+
+const createMailTransport = ({
+  type = process.env.EMAIL_TRANSPORT,
+  local = false,
+} = {}) => {
+  switch (type || (local ? "console" : undefined)) {
+    case "smtp":
+      return createSmtpTransport();
+    case "file":
+      return createFileTransport();
+    case "console":
+      return createConsoleTransport();
+    case undefined:
+      throw new Error(
+        "EMAIL_TRANSPORT is not set (smtp, file or console); only local mode defaults to console"
+      );
+    default:
+      throw new Error(`Unknown email transport: ${type}`);
+  }
+};
+
+module.exports = {
+  renderEmail,
+  createMailTransport,
+  createSmtpTransport,
+  createFileTransport,
+  createConsoleTransport,
+};
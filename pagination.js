@@ -0,0 +1,98 @@
+const { BSON } = require("mongodb");
+
+// Cursor (keyset) pagination for admin listings. Rows are ordered by one
+// sort field with `_id` as tie-breaker; the opaque cursor carries the last
+// row's values, so later pages stay stable while new rows arrive.
+//
+// Missing or null sort values sort lowest in MongoDB: last when descending,
+// first when ascending. The page conditions below follow the same order.
+
+const encodeCursor = (doc, sort) =>
+  Buffer.from(
+    BSON.EJSON.stringify({
+      sort: sort.key,
+      order: sort.order,
+      value: doc[sort.field] ?? null,
+      id: doc._id,
+    })
+  ).toString("base64url");
+
+// Returns null for anything that is not a cursor we issued
+const decodeCursor = (token) => {
+  try {
+    const cursor = BSON.EJSON.parse(
+      Buffer.from(token, "base64url").toString("utf-8")
+    );
+    return cursor?.id && "value" in cursor ? cursor : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const afterCursor = (field, order, { value, id }) => {
+  const op = order === "asc" ? "$gt" : "$lt";
+
+  if (value === null) {
+    return order === "asc"
+      ? {
+          $or: [
+            { [field]: null, _id: { $gt: id } },
+            { [field]: { $ne: null } },
+          ],
+        }
+      : { [field]: null, _id: { $lt: id } };
+  }
+
+  const clauses = [
+    { [field]: { [op]: value } },
+    { [field]: value, _id: { [op]: id } },
+  ];
+  if (order === "desc") clauses.push({ [field]: null });
+  return { $or: clauses };
+};
+
+// `sort` is { key, field, order }: `key` is the public name, `field` the
+// stored one. Returns { items, total, limit, hasMore, nextCursor }.
+const paginate = async (
+  collection,
+  { filter = {}, sort, limit, cursor, projection }
+) => {
+  const direction = sort.order === "asc" ? 1 : -1;
+  const query = cursor
+    ? { $and: [filter, afterCursor(sort.field, sort.order, cursor)] }
+    : filter;
+
+  const [docs, total] = await Promise.all([
+    collection
+      .find(query, { projection })
+      .sort({ [sort.field]: direction, _id: direction })
+      .limit(limit + 1)
+      .toArray(),
+    collection.countDocuments(filter),
+  ]);
+
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    total,
+    limit,
+    hasMore,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sort) : null,
+  };
+};
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Case-insensitive "contains" match on any of `fields`
+const searchFilter = (search, fields) =>
+  search
+    ? {
+        $or: fields.map((field) => ({
+          [field]: { $regex: escapeRegex(search), $options: "i" },
+        })),
+      }
+    : {};
+
+module.exports = { paginate, decodeCursor, searchFilter };
@@ -0,0 +1,145 @@
+const { sendError } = require("./validation");
+
+// Fixed-window rate limiting. Counters live in MongoDB so every instance
+// shares them; a TTL index on `resetAt` clears finished windows.
+//
+// Limits are written as "<max>/<window>", e.g. "5/1h" or "20/15m", and each
+// default can be overridden with RATE_LIMIT_<NAME>_<IP|USER> ("off" disables
+// that rule).
+
+const WINDOW_UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+};
+
+const parseLimit = (value) => {
+  const match = /^(\d+)\/(\d+)([smhd])$/.exec(String(value).trim());
+  if (!match) throw new Error(`Invalid rate limit "${value}"`);
+
+  return {
+    max: Number(match[1]),
+    windowMs: Number(match[2]) * WINDOW_UNITS[match[3]],
+  };
+};
+
+// `user` is the token email, or the email a public form was submitted with
+const CLIENT_KEYS = {
+  ip: (req) => req.ip || null,
+  user: (req) => {
+    if (req.tokenEmail) return req.tokenEmail;
+    const email = req.body?.email;
+    return typeof email === "string" ? email.trim().toLowerCase() : null;
+  },
+};
+
+const createRateLimiter = (collection) => {
+  const hit = async (rule, key, now) => {
+    const windowStart = now - (now % rule.windowMs);
+    const filter = { _id: `${rule.name}:${rule.by}:${key}:${windowStart}` };
+    const update = {
+      $inc: { count: 1 },
+      $set: { lastSeenAt: new Date(now) },
+      $setOnInsert: {
+        limiter: rule.name,
+        keyType: rule.by,
+        key,
+        max: rule.max,
+        windowStart: new Date(windowStart),
+        resetAt: new Date(windowStart + rule.windowMs),
+      },
+    };
+    const options = { upsert: true, returnDocument: "after" };
+
+    try {
+      return await collection.findOneAndUpdate(filter, update, options);
+    } catch (err) {
+      // Two requests opened the same window at once; the retry increments
+      if (err.code !== 11000) throw err;
+      return collection.findOneAndUpdate(filter, update, options);
+    }
+  };
+
+  // Middleware enforcing `rules` ({ ip: "10/1h", user: "3/1h" }) under `name`
+  const limit = (name, rules) => {
+    const envPrefix = `RATE_LIMIT_${name.toUpperCase().replace(/\W/g, "_")}`;
+    const configured = Object.entries(rules)
+      .map(([by, fallback]) => {
+        const value =
+          process.env[`${envPrefix}_${by.toUpperCase()}`] ?? fallback;
+        return value === "off" ? null : { name, by, ...parseLimit(value) };
+      })
+      .filter(Boolean);
+
+    return async (req, res, next) => {
+      try {
+        const now = Date.now();
+        let retryAfter = 0;
+
+        for (const rule of configured) {
+          const key = CLIENT_KEYS[rule.by](req);
+          if (!key) continue;
+
+          const counter = await hit(rule, key, now);
+          if (counter.count > rule.max) {
+            retryAfter = Math.max(
+              retryAfter,
+              Math.ceil((counter.resetAt.getTime() - now) / 1000)
+            );
+          }
+        }
+
+        if (retryAfter > 0) {
+          res.set("Retry-After", String(retryAfter));
+          return sendError(
+            res,
+            429,
+            "Too many requests. Please try again later.",
+            {
+              details: { retryAfter },
+            }
+          );
+        }
+
+        next();
+      } catch (err) {
+        // Fail open: an unavailable store must not take the endpoint down
+        console.error(`Rate limiter "${name}" failed:`, err);
+        next();
+      }
+    };
+  };
+
+  // Clients over their limit in a window that has not reset yet
+  const listThrottled = async ({ limiter, keyType } = {}) => {
+    const now = new Date();
+    const query = {
+      resetAt: { $gt: now },
+      $expr: { $gt: ["$count", "$max"] },
+    };
+    if (limiter) query.limiter = limiter;
+    if (keyType) query.keyType = keyType;
+
+    const counters = await collection
+      .find(query)
+      .sort({ lastSeenAt: -1 })
+      .toArray();
+
+    return counters.map((counter) => ({
+      limiter: counter.limiter,
+      keyType: counter.keyType,
+      key: counter.key,
+      count: counter.count,
+      max: counter.max,
+      windowStart: counter.windowStart,
+      resetAt: counter.resetAt,
+      lastSeenAt: counter.lastSeenAt,
+      retryAfter: Math.ceil((counter.resetAt - now) / 1000),
+    }));
+  };
+
+  return { limit, listThrottled };
+};
+
+module.exports = { createRateLimiter };
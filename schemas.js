@@ -0,0 +1,599 @@
+const { z } = require("zod");
+const { ObjectId } = require("mongodb");
+const { decodeCursor } = require("./pagination");
+
+// Request schemas, one entry per route: { params?, query?, body? }.
+// Used through `validate(schemas.<name>)` from ./validation.
+
+// --- Shared field types ---
+const objectId = (label = "ID") =>
+  z.string().refine((value) => ObjectId.isValid(value), {
+    message: `Invalid ${label}`,
+  });
+
+const email = z.string().trim().email("Invalid email address");
+
+// Query strings arrive as text; an empty value means "not provided"
+const blankAsUndefined = (schema) =>
+  z.preprocess((value) => (value === "" ? undefined : value), schema);
+
+const optionalAmount = blankAsUndefined(z.coerce.number().min(0).optional());
+const optionalDate = blankAsUndefined(z.coerce.date().optional());
+const page = blankAsUndefined(z.coerce.number().int().min(1).default(1));
+const limit = (fallback) =>
+  blankAsUndefined(z.coerce.number().int().min(1).max(100).default(fallback));
+
+// Day buckets are capped at a year, week and month buckets at five years
+const MAX_RANGE_DAYS = { day: 366, week: 5 * 366, month: 5 * 366 };
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const dateRange = z
+  .object({
+    from: optionalDate,
+    to: optionalDate,
+    interval: z.enum(["day", "week", "month"]).default("day"),
+  })
+  .refine((query) => !query.from || !query.to || query.from <= query.to, {
+    message: "`from` must be before `to`",
+    path: ["from"],
+  })
+  .refine(
+    ({ from, to = new Date(), interval }) =>
+      !from || (to - from) / DAY_MS <= MAX_RANGE_DAYS[interval],
+    { message: "Date range is too long for this interval", path: ["from"] }
+  );
+
+// Query for cursor-paginated admin listings (see ./pagination). `sorts`
+// maps public sort names to stored fields, the first being the default;
+// the parsed `sort` is { key, field, order }.
+const listQuery = (sorts, filters = {}) => {
+  const keys = Object.keys(sorts);
+
+  return z
+    .object({
+      ...filters,
+      search: blankAsUndefined(z.string().trim().max(200).optional()),
+      sort: z.enum(keys).default(keys[0]),
+      order: z.enum(["asc", "desc"]).default("desc"),
+      cursor: blankAsUndefined(z.string().optional()).transform(
+        (token, ctx) => {
+          if (token === undefined) return undefined;
+          const cursor = decodeCursor(token);
+          if (!cursor) {
+            ctx.addIssue({
+              code: z.ZodIssueCode.custom,
+              message: "Invalid cursor",
+            });
+            return z.NEVER;
+          }
+          return cursor;
+        }
+      ),
+      limit: limit(20),
+    })
+    .refine(
+      (query) =>
+        !query.cursor ||
+        (query.cursor.sort === query.sort &&
+          query.cursor.order === query.order),
+      { message: "Cursor does not match the requested sort", path: ["cursor"] }
+    )
+    .transform(({ sort, order, ...query }) => ({
+      ...query,
+      sort: { key: sort, field: sorts[sort], order },
+    }));
+};
+
+const contestStatusValues = [
+  "Pending",
+  "Confirmed",
+  "Rejected",
+  "Cancelled",
+  "Closed",
+  "Completed",
+];
+
+const exportFormat = z.enum(["csv", "json"]).default("csv");
+
+const amount = z.coerce.number().min(0, "Amount cannot be negative");
+
+// Stripe will not charge less than $0.50, so paid contests start there
+const MIN_CONTEST_FEE = 0.5;
+
+const contestIdParams = z.object({ contestId: objectId("Contest ID") });
+const idParams = (label) => z.object({ id: objectId(label) });
+
+const prizeTiers = z
+  .array(
+    z.object({
+      placement: z.coerce.number().int().min(1),
+      prize: amount,
+    })
+  )
+  .min(1)
+  .max(10);
+
+const contestFields = {
+  name: z.string().trim().min(1, "Name is required").max(120),
+  image: z.string().trim().url("Image must be a URL").optional(),
+  description: z.string().trim().min(1, "Description is required").max(5000),
+  category: z.string().trim().min(1, "Category is required").max(60),
+  deadline: z.coerce
+    .date()
+    .refine((date) => date > new Date(), "Deadline must be in the future"),
+  contestFee: amount
+    .refine(
+      (fee) => fee === 0 || fee >= MIN_CONTEST_FEE,
+      `Contest fee must be 0 (free) or at least $${MIN_CONTEST_FEE.toFixed(2)}`
+    )
+    .default(0),
+  prizeMoney: amount.optional(),
+  prizeTiers: prizeTiers.optional(),
+  taskInstruction: z.string().trim().max(5000).default(""),
+};
+
+// --- Public contest routes ---
+const listContests = {
+  query: z.object({
+    type: z.string().trim().max(60).optional(),
+    search: z.string().trim().max(200).optional(),
+    status: z.string().optional(),
+    sort: z
+      .enum([
+        "relevance",
+        "newest",
+        "ending-soon",
+        "highest-prize",
+        "most-participants",
+      ])
+      .optional(),
+    minPrize: optionalAmount,
+    maxPrize: optionalAmount,
+    minFee: optionalAmount,
+    maxFee: optionalAmount,
+    free: z.enum(["true", "false"]).optional(),
+    deadlineFrom: optionalDate,
+    deadlineTo: optionalDate,
+    page,
+    limit: limit(10),
+  }),
+};
+
+const getContest = { params: idParams("Contest ID") };
+
+const contestSubmissions = { params: contestIdParams };
+
+const contestSubmissionStatus = {
+  params: z.object({ contestId: objectId("Contest ID"), email }),
+};
+
+const leaderboard = {
+  query: z.object({
+    window: z.enum(["weekly", "monthly", "all-time"]).default("all-time"),
+    category: z.string().trim().max(60).optional(),
+    page,
+    limit: limit(20),
+  }),
+};
+
+// --- Admin routes ---
+const contestStatus = {
+  params: idParams("Contest ID"),
+  body: z.object({
+    status: z.enum(["Confirmed", "Rejected", "Cancelled"]),
+    reason: z.string().trim().max(1000).optional(),
+  }),
+};
+
+const deleteContest = { params: idParams("Contest ID") };
+
+const listRefunds = {
+  query: z.object({
+    status: z.enum(["Pending", "Processing", "Failed", "Succeeded"]).optional(),
+  }),
+};
+
+const retryRefund = {
+  params: z.object({ orderId: objectId("Order ID") }),
+};
+
+const contestRevision = {
+  params: idParams("Contest ID"),
+  body: z.object({
+    status: z.enum(["Approved", "Rejected"]),
+    note: z.string().trim().max(1000).optional(),
+  }),
+};
+
+const auditLogs = {
+  query: z.object({
+    actor: z.string().trim().optional(),
+    action: z.string().trim().optional(),
+    targetType: z.string().trim().optional(),
+    targetId: z.string().trim().optional(),
+    from: optionalDate,
+    to: optionalDate,
+    page,
+    limit: limit(20),
+  }),
+};
+
+const throttledClients = {
+  query: z.object({
+    limiter: z
+      .enum(["contact", "save-user", "submit-task", "checkout", "leaderboard"])
+      .optional(),
+    keyType: z.enum(["ip", "user"]).optional(),
+  }),
+};
+
+const adminReport = { query: dateRange };
+
+const adminUsersExport = {
+  query: z.object({
+    format: exportFormat,
+    role: z.enum(["participant", "contestCreator", "admin"]).optional(),
+  }),
+};
+
+const adminOrdersExport = {
+  query: z.object({
+    format: exportFormat,
+    status: z.enum(["Paid", "Refunded", "Expired"]).optional(),
+    from: optionalDate,
+    to: optionalDate,
+  }),
+};
+
+const adminContestsExport = {
+  query: z.object({
+    format: exportFormat,
+    status: z.enum(contestStatusValues).optional(),
+  }),
+};
+
+const listUsers = {
+  query: listQuery(
+    {
+      createdAt: "created_at",
+      lastLoggedIn: "lastLoggedIn",
+      name: "name",
+      email: "email",
+    },
+    {
+      role: z.enum(["participant", "contestCreator", "admin"]).optional(),
+      status: z.enum(["Active", "Suspended", "Banned"]).optional(),
+    }
+  ),
+};
+
+const listAdminContests = {
+  query: listQuery(
+    {
+      createdAt: "createdAt",
+      deadline: "deadline",
+      prizeMoney: "prizeMoney",
+      participants: "participantsCount",
+      name: "name",
+    },
+    {
+      status: z.enum(contestStatusValues).optional(),
+      category: z.string().trim().max(60).optional(),
+    }
+  ),
+};
+
+const listCreatorRequests = {
+  query: listQuery(
+    { createdAt: "createdAt", decidedAt: "decidedAt", name: "name" },
+    {
+      status: z
+        .enum(["Pending", "Approved", "Rejected", "all"])
+        .default("Pending"),
+    }
+  ),
+};
+
+const creatorRequestStatus = {
+  params: idParams("Application ID"),
+  body: z.object({
+    status: z.enum(["Approved", "Rejected"]),
+    note: z.string().trim().max(1000).optional(),
+  }),
+};
+
+const listContactMessages = {
+  query: listQuery(
+    { receivedAt: "receivedAt", lastRepliedAt: "lastRepliedAt" },
+    {
+      folder: z.enum(["inbox", "archived", "all"]).default("inbox"),
+      unread: z.enum(["true", "false"]).optional(),
+      // An admin email, "me" or "unassigned"
+      assignedTo: z.union([z.enum(["me", "unassigned"]), email]).optional(),
+    }
+  ),
+};
+
+const contactMessage = { params: idParams("Message ID") };
+
+const markContactMessage = {
+  params: idParams("Message ID"),
+  body: z.object({ isRead: z.boolean().default(true) }),
+};
+
+const archiveContactMessage = {
+  params: idParams("Message ID"),
+  body: z.object({ archived: z.boolean().default(true) }),
+};
+
+const assignContactMessage = {
+  params: idParams("Message ID"),
+  body: z.object({ assignee: email.nullable() }),
+};
+
+const replyContactMessage = {
+  params: idParams("Message ID"),
+  body: z.object({
+    message: z.string().trim().min(1, "Reply is empty.").max(5000),
+  }),
+};
+
+const updateRole = {
+  body: z.object({
+    email,
+    role: z.enum(["participant", "contestCreator", "admin"]),
+  }),
+};
+
+const updateUserStatus = {
+  body: z
+    .object({
+      email,
+      status: z.enum(["Active", "Suspended", "Banned"]),
+      reason: z.string().trim().max(1000).optional(),
+      until: z.coerce.date().optional(),
+    })
+    .refine((body) => body.status === "Active" || body.reason, {
+      message: "A reason is required",
+      path: ["reason"],
+    })
+    .refine(
+      (body) =>
+        body.status !== "Suspended" || (body.until && body.until > new Date()),
+      { message: "Suspensions need a future end date", path: ["until"] }
+    ),
+};
+
+// --- Creator routes ---
+const createContest = {
+  body: z.object({
+    ...contestFields,
+    contestCreator: z
+      .object({
+        name: z.string().trim().max(120).optional(),
+        photo: z.string().trim().optional(),
+      })
+      .default({}),
+  }),
+};
+
+const updateContest = {
+  params: idParams("Contest ID"),
+  body: z.object(contestFields).partial(),
+};
+
+const declareWinners = {
+  params: contestIdParams,
+  body: z
+    .object({
+      winners: z
+        .array(
+          z.union([
+            objectId("Submission ID"),
+            z.object({ submissionId: objectId("Submission ID") }),
+          ])
+        )
+        .min(1)
+        .max(10)
+        .optional(),
+      // Older clients declare a single winner
+      submissionId: objectId("Submission ID").optional(),
+    })
+    .refine((body) => body.winners || body.submissionId, {
+      message: "Provide the ranked winners",
+      path: ["winners"],
+    }),
+};
+
+const creatorDeleteContest = { params: idParams("Contest ID") };
+
+const inviteJudge = {
+  params: contestIdParams,
+  body: z.object({ email }),
+};
+
+const removeJudge = {
+  params: z.object({ contestId: objectId("Contest ID"), email }),
+};
+
+const contestRubric = {
+  params: contestIdParams,
+  body: z.object({
+    criteria: z
+      .array(
+        z.object({
+          name: z.string().trim().min(1, "Criterion name is required").max(60),
+          weight: z.coerce.number().positive(),
+          maxScore: z.coerce.number().positive().optional(),
+        })
+      )
+      .min(1)
+      .max(20),
+  }),
+};
+
+const judgingRanking = { params: contestIdParams };
+
+const contestExport = {
+  params: contestIdParams,
+  query: z.object({ format: exportFormat }),
+};
+
+const creatorAnalytics = { query: dateRange };
+
+// --- Judge routes ---
+const judgeInvitation = {
+  params: contestIdParams,
+  body: z.object({ accept: z.boolean() }),
+};
+
+const judgeSubmissions = { params: contestIdParams };
+
+const judgeScore = {
+  params: z.object({
+    contestId: objectId("Contest ID"),
+    submissionId: objectId("Submission ID"),
+  }),
+  body: z.object({
+    scores: z.record(z.coerce.number()),
+    comment: z.string().trim().max(2000).default(""),
+  }),
+};
+
+// --- Participant routes ---
+const submitTask = {
+  body: z.object({
+    contestId: objectId("Contest ID"),
+    task: z.string().trim().min(1, "Task submission is empty.").max(10000),
+    name: z.string().trim().max(120).optional(),
+    photoUrl: z.string().trim().optional(),
+  }),
+};
+
+const createCheckoutSession = {
+  body: z.object({ contestId: objectId("Contest ID") }),
+};
+
+const paymentSuccess = {
+  body: z.object({
+    sessionId: z.string().trim().min(1, "Session ID is missing."),
+  }),
+};
+
+// --- User routes ---
+const saveUser = {
+  body: z.object({
+    email,
+    name: z.string().trim().max(120).optional(),
+    image: z.string().trim().optional(),
+    photo: z.string().trim().optional(),
+  }),
+};
+
+// Only the fields that are sent are changed
+const updateProfile = {
+  body: z
+    .object({
+      name: z.string().trim().min(1, "Name cannot be empty").max(120),
+      photo: z.string().trim().url("Photo must be a URL"),
+      bio: z.string().trim().max(1000),
+      // false hides the public profile (and leaderboard row) from everyone
+      // but its owner
+      isProfilePublic: z.boolean(),
+    })
+    .partial()
+    .refine((body) => Object.keys(body).length > 0, "Nothing to update"),
+};
+
+const publicProfile = {
+  params: z.object({ profile: z.union([objectId("Profile ID"), email]) }),
+};
+
+const becomeCreator = {
+  body: z.object({
+    motivation: z
+      .string()
+      .trim()
+      .min(20, "Tell us a bit more about why (20+ characters).")
+      .max(2000),
+    portfolio: z
+      .union([
+        z.string().trim().url("Portfolio links must be URLs"),
+        z.array(z.string().trim().url("Portfolio links must be URLs")).max(10),
+      ])
+      .optional(),
+    experience: z.string().trim().max(2000).optional(),
+  }),
+};
+
+const listNotifications = {
+  query: z.object({
+    page,
+    limit: limit(20),
+    unread: z.enum(["true", "false"]).optional(),
+  }),
+};
+
+const readNotification = { params: idParams("Notification ID") };
+
+const contact = {
+  body: z.object({
+    name: z.string().trim().min(1, "Name is required.").max(120),
+    email,
+    message: z.string().trim().min(1, "Message is required.").max(5000),
+  }),
+};
+
+module.exports = {
+  listContests,
+  getContest,
+  contestSubmissions,
+  contestSubmissionStatus,
+  leaderboard,
+  contestStatus,
+  deleteContest,
+  listRefunds,
+  retryRefund,
+  contestRevision,
+  auditLogs,
+  throttledClients,
+  adminReport,
+  adminUsersExport,
+  adminOrdersExport,
+  adminContestsExport,
+  listUsers,
+  listAdminContests,
+  listCreatorRequests,
+  creatorRequestStatus,
+  listContactMessages,
+  contactMessage,
+  markContactMessage,
+  archiveContactMessage,
+  assignContactMessage,
+  replyContactMessage,
+  updateRole,
+  updateUserStatus,
+  createContest,
+  updateContest,
+  declareWinners,
+  creatorDeleteContest,
+  inviteJudge,
+  removeJudge,
+  contestRubric,
+  judgingRanking,
+  creatorAnalytics,
+  contestExport,
+  judgeInvitation,
+  judgeSubmissions,
+  judgeScore,
+  submitTask,
+  createCheckoutSession,
+  paymentSuccess,
+  saveUser,
+  updateProfile,
+  publicProfile,
+  becomeCreator,
+  listNotifications,
+  readNotification,
+  contact,
+};
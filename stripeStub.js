@@ -0,0 +1,115 @@
+// In-memory stand-in for the parts of the Stripe SDK the app uses, for
+// local mode. Checkout "pays" instantly and the matching webhook events are
+// POSTed back to /stripe-webhook, so fulfillment and refunds run through
+// the same code paths as in production.
+
+const stripeError = (code, message) =>
+  Object.assign(new Error(message), { code });
+
+const createStripeStub = ({ webhookUrl }) => {
+  const sessions = new Map();
+  let sequence = 0;
+  const nextId = (prefix) => `${prefix}_local_${Date.now()}_${++sequence}`;
+
+  // Delivered after the current request finishes, like a real webhook
+  const emit = (type, object) => {
+    setTimeout(() => {
+      fetch(webhookUrl, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "Stripe-Signature": "local",
+        },
+        body: JSON.stringify({ id: nextId("evt"), type, data: { object } }),
+      }).catch((err) =>
+        console.error(`[stripe-stub] ${type} delivery failed:`, err.message)
+      );
+    }, 100).unref();
+  };
+
+  const findByPaymentIntent = (paymentIntent) =>
+    [...sessions.values()].find(
+      (session) => session.payment_intent === paymentIntent
+    );
+
+  return {
+    checkout: {
+      sessions: {
+        create: async (params) => {
+          const id = nextId("cs");
+          const session = {
+            id,
+            object: "checkout.session",
+            status: "complete",
+            payment_status: "paid",
+            payment_intent: nextId("pi"),
+            amount_total: params.line_items.reduce(
+              (sum, item) => sum + item.price_data.unit_amount * item.quantity,
+              0
+            ),
+            customer_email: params.customer_email,
+            metadata: params.metadata || {},
+            // Skip the hosted page and go straight to the success URL
+            url: params.success_url.replace("{CHECKOUT_SESSION_ID}", id),
+          };
+
+          sessions.set(id, session);
+          emit("checkout.session.completed", session);
+          return session;
+        },
+
+        retrieve: async (id) => {
+          const session = sessions.get(id);
+          if (!session) {
+            throw stripeError(
+              "resource_missing",
+              `No such checkout.session: '${id}'`
+            );
+          }
+          return session;
+        },
+      },
+    },
+
+    refunds: {
+      create: async ({ payment_intent }) => {
+        const session = findByPaymentIntent(payment_intent);
+        if (!session) {
+          throw stripeError(
+            "resource_missing",
+            `No such payment_intent: '${payment_intent}'`
+          );
+        }
+        if (session.refunded) {
+          throw stripeError(
+            "charge_already_refunded",
+            "Charge has already been refunded."
+          );
+        }
+
+        session.refunded = true;
+        emit("charge.refunded", {
+          object: "charge",
+          payment_intent,
+          refunded: true,
+          amount_refunded: session.amount_total,
+        });
+
+        return {
+          id: nextId("re"),
+          object: "refund",
+          amount: session.amount_total,
+          payment_intent,
+          status: "succeeded",
+        };
+      },
+    },
+
+    // Local events are not signed
+    webhooks: {
+      constructEvent: (payload) => JSON.parse(payload.toString()),
+    },
+  };
+};
+
+module.exports = { createStripeStub };
@@ -0,0 +1,477 @@
+const { ObjectId } = require("mongodb");
+const { startOfDay, startOfMonth, startOfWeek } = require("date-fns");
+
+// A small interpreter for the aggregation stages and expressions the app
+// uses, so tests run the real pipelines against in-memory documents.
+// Unknown stages and operators throw, which keeps a new pipeline from
+// silently passing with wrong results.
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  !Array.isArray(value) &&
+  !(value instanceof ObjectId) &&
+  !(value instanceof Date);
+
+// Deep copy that keeps ObjectId and Date instances (structuredClone does not)
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, clone(item)])
+    );
+  }
+  return value;
+};
+
+const getPath = (doc, path) =>
+  path
+    .split(".")
+    .reduce(
+      (value, key) =>
+        Array.isArray(value) && !/^\d+$/.test(key)
+          ? value
+              .map((item) => item?.[key])
+              .filter((item) => item !== undefined)
+          : value?.[key],
+      doc
+    );
+
+const setPath = (doc, path, value) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const target = keys.reduce((obj, key) => (obj[key] ??= {}), doc);
+  target[last] = value;
+};
+
+const unsetPath = (doc, path) => {
+  const keys = path.split(".");
+  const last = keys.pop();
+  const target = keys.reduce((obj, key) => obj?.[key], doc);
+  if (target) delete target[last];
+};
+
+const equals = (a, b) => {
+  if (a == null || b == null) return a == null && b == null;
+  if (a instanceof ObjectId || b instanceof ObjectId) {
+    return String(a) === String(b);
+  }
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  return a === b;
+};
+
+// MongoDB's cross-type order, reduced to the types the app stores
+const typeRank = (value) => {
+  if (value == null) return 0;
+  if (typeof value === "number") return 1;
+  if (typeof value === "string") return 2;
+  if (value instanceof ObjectId) return 3;
+  if (typeof value === "boolean") return 4;
+  if (value instanceof Date) return 5;
+  return 6;
+};
+
+const compare = (a, b) => {
+  const rankA = typeRank(a);
+  const rankB = typeRank(b);
+  if (rankA !== rankB) return rankA - rankB;
+  if (a instanceof ObjectId) return String(a).localeCompare(String(b));
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  if (a == null) return 0;
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const sortDocs = (docs, spec) =>
+  [...docs].sort((a, b) => {
+    for (const [field, direction] of Object.entries(spec)) {
+      const result = compare(getPath(a, field), getPath(b, field));
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  });
+
+// --- Queries ---
+
+const matchesValue = (value, condition) => {
+  const values = Array.isArray(value) ? [value, ...value] : [value];
+  const isOperator =
+    isPlainObject(condition) &&
+    Object.keys(condition).length > 0 &&
+    Object.keys(condition).every((key) => key.startsWith("$"));
+
+  if (!isOperator) return values.some((item) => equals(item, condition));
+
+  return Object.entries(condition).every(([op, operand]) => {
+    switch (op) {
+      case "$eq":
+        return values.some((item) => equals(item, operand));
+      case "$in":
+        return values.some((item) => operand.some((o) => equals(item, o)));
+      case "$nin":
+        return !values.some((item) => operand.some((o) => equals(item, o)));
+      case "$ne":
+        return !values.some((item) => equals(item, operand));
+      case "$exists":
+        return (value !== undefined) === operand;
+      case "$gt":
+        return value != null && compare(value, operand) > 0;
+      case "$gte":
+        return value != null && compare(value, operand) >= 0;
+      case "$lt":
+        return value != null && compare(value, operand) < 0;
+      case "$lte":
+        return value != null && compare(value, operand) <= 0;
+      case "$elemMatch":
+        return (value || []).some((item) => matches(item, operand));
+      case "$regex":
+        return values.some(
+          (item) =>
+            typeof item === "string" &&
+            new RegExp(operand, condition.$options || "").test(item)
+        );
+      case "$options":
+        return true;
+      default:
+        throw new Error(`Fake query does not support ${op}`);
+    }
+  });
+};
+
+const matches = (doc, query = {}) =>
+  Object.entries(query).every(([key, condition]) => {
+    if (key === "$or") return condition.some((q) => matches(doc, q));
+    if (key === "$and") return condition.every((q) => matches(doc, q));
+    if (key === "$expr") return Boolean(evaluate(condition, doc));
+    return matchesValue(getPath(doc, key), condition);
+  });
+
+// --- Expressions ---
+
+const DATE_TRUNC = {
+  day: startOfDay,
+  week: (date) => startOfWeek(date, { weekStartsOn: 1 }),
+  month: startOfMonth,
+};
+
+const evaluate = (expr, doc, vars = {}) => {
+  if (typeof expr === "string" && expr.startsWith("$$")) {
+    const [name, ...path] = expr.slice(2).split(".");
+    return path.length ? getPath(vars[name], path.join(".")) : vars[name];
+  }
+  if (typeof expr === "string" && expr.startsWith("$")) {
+    return getPath(doc, expr.slice(1));
+  }
+  if (Array.isArray(expr)) return expr.map((item) => evaluate(item, doc, vars));
+  if (!isPlainObject(expr)) return expr;
+
+  const [op] = Object.keys(expr);
+  if (!op?.startsWith("$")) {
+    return Object.fromEntries(
+      Object.entries(expr).map(([key, value]) => [
+        key,
+        evaluate(value, doc, vars),
+      ])
+    );
+  }
+
+  const operand = expr[op];
+  if (op === "$literal") return operand;
+
+  const args = () => [].concat(operand).map((arg) => evaluate(arg, doc, vars));
+
+  switch (op) {
+    case "$cond": {
+      const [test, then, otherwise] = Array.isArray(operand)
+        ? operand
+        : [operand.if, operand.then, operand.else];
+      return evaluate(test, doc, vars)
+        ? evaluate(then, doc, vars)
+        : evaluate(otherwise, doc, vars);
+    }
+    case "$eq": {
+      const [a, b] = args();
+      return equals(a, b);
+    }
+    case "$ne": {
+      const [a, b] = args();
+      return !equals(a, b);
+    }
+    case "$gt":
+    case "$gte":
+    case "$lt":
+    case "$lte": {
+      const result = compare(...args());
+      return (
+        { $gt: result > 0, $gte: result >= 0, $lt: result < 0 }[op] ??
+        result <= 0
+      );
+    }
+    case "$and":
+      return args().every(Boolean);
+    case "$or":
+      return args().some(Boolean);
+    case "$in": {
+      const [value, list] = args();
+      return (list || []).some((item) => equals(item, value));
+    }
+    case "$ifNull": {
+      const values = args();
+      return values.find((value) => value != null) ?? values.at(-1);
+    }
+    case "$add":
+      return args().reduce((sum, value) => sum + (value || 0), 0);
+    case "$multiply":
+      return args().reduce((product, value) => product * (value || 0), 1);
+    case "$round": {
+      const [value, places = 0] = args();
+      return Number(Number(value).toFixed(places));
+    }
+    case "$first":
+      return [].concat(evaluate(operand, doc, vars) ?? [])[0];
+    case "$size":
+      return (evaluate(operand, doc, vars) || []).length;
+    case "$filter": {
+      const name = operand.as || "this";
+      return (evaluate(operand.input, doc, vars) || []).filter((item) =>
+        evaluate(operand.cond, doc, { ...vars, [name]: item })
+      );
+    }
+    case "$mergeObjects":
+      return Object.assign({}, ...args().filter(Boolean));
+    case "$toDate":
+      return new Date(evaluate(operand, doc, vars));
+    case "$toString":
+      return String(evaluate(operand, doc, vars));
+    case "$toObjectId":
+      return new ObjectId(evaluate(operand, doc, vars));
+    case "$dateTrunc": {
+      const date = evaluate(operand.date, doc, vars);
+      return date ? DATE_TRUNC[operand.unit](date) : null;
+    }
+    default:
+      throw new Error(`Fake aggregation does not support ${op}`);
+  }
+};
+
+// --- Stages ---
+
+const ACCUMULATORS = {
+  $sum: (values) =>
+    values.reduce(
+      (sum, value) => sum + (typeof value === "number" ? value : 0),
+      0
+    ),
+  $avg: (values) => {
+    const numbers = values.filter((value) => typeof value === "number");
+    return numbers.length
+      ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length
+      : null;
+  },
+  $max: (values) =>
+    values
+      .filter((value) => value != null)
+      .reduce(
+        (max, value) => (max == null || compare(value, max) > 0 ? value : max),
+        null
+      ),
+  $min: (values) =>
+    values
+      .filter((value) => value != null)
+      .reduce(
+        (min, value) => (min == null || compare(value, min) < 0 ? value : min),
+        null
+      ),
+  $first: (values) => values[0] ?? null,
+  $last: (values) => values.at(-1) ?? null,
+  $push: (values) => values,
+  $addToSet: (values) =>
+    values.filter(
+      (value, index) =>
+        values.findIndex((other) => equals(other, value)) === index
+    ),
+};
+
+const group = (docs, { _id, ...fields }) => {
+  const groups = new Map();
+  for (const doc of docs) {
+    const key = evaluate(_id, doc) ?? null;
+    const id = JSON.stringify(key);
+    if (!groups.has(id)) groups.set(id, { _id: key, docs: [] });
+    groups.get(id).docs.push(doc);
+  }
+
+  return [...groups.values()].map(({ _id: key, docs: members }) => {
+    const row = { _id: key };
+    for (const [field, accumulator] of Object.entries(fields)) {
+      const [op] = Object.keys(accumulator);
+      if (!ACCUMULATORS[op]) {
+        throw new Error(`Fake aggregation does not support ${op} in $group`);
+      }
+      row[field] = ACCUMULATORS[op](
+        members.map((member) => evaluate(accumulator[op], member))
+      );
+    }
+    return row;
+  });
+};
+
+const project = (docs, spec) => {
+  const entries = Object.entries(spec);
+  const excluding = entries.some(
+    ([key, value]) => key !== "_id" && (value === 0 || value === false)
+  );
+
+  return docs.map((doc) => {
+    if (excluding) {
+      const result = clone(doc);
+      for (const [key] of entries) unsetPath(result, key);
+      return result;
+    }
+
+    const result = {};
+    if (spec._id !== 0 && spec._id !== false) result._id = doc._id;
+    for (const [key, value] of entries) {
+      if (key === "_id" && (value === 0 || value === false)) continue;
+      if (value === 1 || value === true) {
+        const current = getPath(doc, key);
+        if (current !== undefined) setPath(result, key, clone(current));
+      } else {
+        setPath(result, key, evaluate(value, doc));
+      }
+    }
+    return result;
+  });
+};
+
+const rankWindow = (docs, { sortBy, output }) => {
+  const sorted = sortDocs(docs, sortBy);
+  const [[field]] = Object.entries(output);
+  const keys = Object.keys(sortBy);
+  return sorted.map((doc, index) => {
+    const tiedWithPrevious =
+      index > 0 &&
+      keys.every((key) =>
+        equals(getPath(doc, key), getPath(sorted[index - 1], key))
+      );
+    doc[field] = tiedWithPrevious ? sorted[index - 1][field] : index + 1;
+    return doc;
+  });
+};
+
+const runPipeline = (input, pipeline, source) => {
+  let docs = input.map(clone);
+
+  for (const stage of pipeline) {
+    const [[name, spec]] = Object.entries(stage);
+    switch (name) {
+      case "$match":
+        docs = docs.filter((doc) => matches(doc, spec));
+        break;
+      case "$project":
+        docs = project(docs, spec);
+        break;
+      case "$addFields":
+      case "$set":
+        docs = docs.map((doc) => {
+          const result = clone(doc);
+          for (const [key, value] of Object.entries(spec)) {
+            setPath(result, key, evaluate(value, doc));
+          }
+          return result;
+        });
+        break;
+      case "$unset":
+        docs = docs.map((doc) => {
+          const result = clone(doc);
+          [].concat(spec).forEach((key) => unsetPath(result, key));
+          return result;
+        });
+        break;
+      case "$unwind": {
+        const { path, preserveNullAndEmptyArrays } =
+          typeof spec === "string" ? { path: spec } : spec;
+        const field = path.slice(1);
+        docs = docs.flatMap((doc) => {
+          const value = getPath(doc, field);
+          if (Array.isArray(value) && value.length > 0) {
+            return value.map((item) => {
+              const result = clone(doc);
+              setPath(result, field, clone(item));
+              return result;
+            });
+          }
+          if (value != null && !Array.isArray(value)) return [doc];
+          return preserveNullAndEmptyArrays ? [doc] : [];
+        });
+        break;
+      }
+      case "$group":
+        docs = group(docs, spec);
+        break;
+      case "$sort":
+        docs = sortDocs(docs, spec);
+        break;
+      case "$skip":
+        docs = docs.slice(spec);
+        break;
+      case "$limit":
+        docs = docs.slice(0, spec);
+        break;
+      case "$count":
+        docs = docs.length ? [{ [spec]: docs.length }] : [];
+        break;
+      case "$lookup": {
+        const foreign = source(spec.from);
+        docs = docs.map((doc) => {
+          const local = getPath(doc, spec.localField);
+          const locals = Array.isArray(local) ? local : [local];
+          const joined = foreign.filter((other) =>
+            locals.some((value) =>
+              equals(getPath(other, spec.foreignField), value)
+            )
+          );
+          return {
+            ...doc,
+            [spec.as]: runPipeline(joined, spec.pipeline || [], source),
+          };
+        });
+        break;
+      }
+      case "$unionWith":
+        docs = [
+          ...docs,
+          ...runPipeline(source(spec.coll), spec.pipeline || [], source),
+        ];
+        break;
+      case "$setWindowFields":
+        docs = rankWindow(docs, spec);
+        break;
+      case "$facet":
+        docs = [
+          Object.fromEntries(
+            Object.entries(spec).map(([key, subPipeline]) => [
+              key,
+              runPipeline(docs, subPipeline, source),
+            ])
+          ),
+        ];
+        break;
+      default:
+        throw new Error(`Fake aggregation does not support ${name}`);
+    }
+  }
+
+  return docs;
+};
+
+module.exports = {
+  clone,
+  equals,
+  getPath,
+  setPath,
+  matches,
+  sortDocs,
+  runPipeline,
+};
@@ -0,0 +1,591 @@
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { createApp } = require("../app");
+const {
+  createFakeDb,
+  fakeAuth,
+  createFakeStripe,
+  createFakeMail,
+  startTestServer,
+} = require("./fakes");
+
+const ADMIN = "admin@example.com";
+const CREATOR = "creator@example.com";
+const PLAYER = "player@example.com";
+
+const seed = () => {
+  const pendingId = new ObjectId();
+  const freeId = new ObjectId();
+  return {
+    pendingId,
+    freeId,
+    data: {
+      users: [
+        { email: ADMIN, role: "admin" },
+        { email: CREATOR, role: "contestCreator" },
+        {
+          email: PLAYER,
+          role: "user",
+          name: "Player",
+          photo: "https://example.com/player.png",
+          bio: "Hello",
+        },
+        {
+          email: "banned@example.com",
+          role: "user",
+          accountStatus: "Banned",
+        },
+      ],
+      contests: [
+        {
+          _id: pendingId,
+          name: "Pending Contest",
+          status: "Pending",
+          contestFee: 10,
+          contestCreator: { email: CREATOR },
+          participants: [],
+        },
+        {
+          _id: freeId,
+          name: "Free Contest",
+          status: "Confirmed",
+          contestFee: 0,
+          deadline: new Date(Date.now() + 24 * 60 * 60 * 1000),
+          contestCreator: { email: CREATOR },
+          participants: [],
+          participantsCount: 0,
+        },
+      ],
+    },
+  };
+};
+
+describe("start", () => {
+  const build = (db) =>
+    createApp({
+      db,
+      stripe: createFakeStripe(),
+      auth: fakeAuth,
+      mailTransport: createFakeMail(),
+    });
+
+  it("builds the indexes and returns a stop function", async () => {
+    const db = createFakeDb();
+    const stop = await build(db).start();
+
+    assert.equal(typeof stop, "function");
+    assert.ok(
+      db.collections.submissions.indexes.some(
+        (index) => index.options.name === "one_active_submission"
+      )
+    );
+    stop();
+  });
+
+  it("rejects when an index cannot be built", async () => {
+    const db = createFakeDb();
+    db.collection("orders").createIndex = async () => {
+      throw new Error("E11000 duplicate key error");
+    };
+
+    await assert.rejects(build(db).start(), /E11000/);
+  });
+
+  it("supersedes all but the latest duplicate submission", async () => {
+    const older = {
+      contestId: "c1",
+      email: PLAYER,
+      submittedAt: new Date("2024-01-01"),
+    };
+    const latest = {
+      contestId: "c1",
+      email: PLAYER,
+      submittedAt: new Date("2024-01-02"),
+    };
+    const other = {
+      contestId: "c2",
+      email: PLAYER,
+      submittedAt: new Date("2024-01-01"),
+    };
+    const db = createFakeDb({ submissions: [older, latest, other] });
+
+    const stop = await build(db).start();
+    stop();
+
+    assert.equal(older.superseded, true);
+    assert.equal(latest.superseded, false);
+    assert.equal(other.superseded, false);
+  });
+});
+
+describe("routes", () => {
+  let server;
+  let ids;
+
+  before(async () => {
+    const { pendingId, freeId, data } = seed();
+    ids = { pendingId, freeId };
+    server = await startTestServer(data);
+  });
+
+  after(() => server.close());
+
+  it("answers unknown routes with the error envelope", async () => {
+    const { status, body } = await server.request("GET", "/no-such-route");
+
+    assert.equal(status, 404);
+    assert.equal(body.error.code, "ROUTE_NOT_FOUND");
+  });
+
+  it("requires a token on protected routes", async () => {
+    const { status } = await server.request("GET", "/my-contests");
+
+    assert.equal(status, 401);
+  });
+
+  it("blocks banned accounts", async () => {
+    const { status, body } = await server.request("GET", "/my-contests", {
+      token: "banned@example.com",
+    });
+
+    assert.equal(status, 403);
+    assert.equal(body.error.code, "ACCOUNT_SUSPENDED");
+  });
+
+  it("rejects invalid input with details", async () => {
+    const { status, body } = await server.request(
+      "PATCH",
+      "/contest-status/not-an-id",
+      { token: ADMIN, body: { status: "Confirmed" } }
+    );
+
+    assert.equal(status, 400);
+    assert.ok(body.error.details);
+  });
+
+  it("refuses status changes the contest's state does not allow", async () => {
+    const { status } = await server.request(
+      "PATCH",
+      `/contest-status/${ids.pendingId}`,
+      { token: ADMIN, body: { status: "Cancelled" } }
+    );
+
+    assert.equal(status, 409);
+  });
+
+  it("hides contest submissions from other participants", async () => {
+    const { status } = await server.request(
+      "GET",
+      `/contest-submissions/${ids.pendingId}`,
+      { token: PLAYER }
+    );
+
+    assert.equal(status, 403);
+  });
+
+  it("updates only the profile fields that are sent", async () => {
+    const { status } = await server.request("PATCH", "/user-profile-update", {
+      token: PLAYER,
+      body: { isProfilePublic: false },
+    });
+
+    const user = server.db.collections.users.docs.find(
+      (doc) => doc.email === PLAYER
+    );
+    assert.equal(status, 200);
+    assert.equal(user.isProfilePublic, false);
+    assert.equal(user.name, "Player");
+    assert.equal(user.bio, "Hello");
+    assert.equal(user.photo, "https://example.com/player.png");
+  });
+
+  it("serves profiles without awarding badges", async () => {
+    const notifications = server.db.collection("notifications");
+    const before = notifications.docs.length;
+
+    const { status, body } = await server.request(
+      "GET",
+      `/profiles/${CREATOR}`
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.email, undefined);
+    assert.equal(notifications.docs.length, before);
+  });
+
+  it("registers for a free contest without Stripe", async () => {
+    const { status, body } = await server.request(
+      "POST",
+      "/create-checkout-session",
+      { token: PLAYER, body: { contestId: ids.freeId.toString() } }
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.free, true);
+    assert.equal(server.stripe.created.length, 0);
+
+    const order = server.db.collections.orders.docs[0];
+    assert.equal(order.status, "Paid");
+    assert.equal(order.contestFee, 0);
+    assert.equal(order.participant, PLAYER);
+
+    const contest = server.db.collections.contests.docs.find((doc) =>
+      doc._id.equals(ids.freeId)
+    );
+    assert.deepEqual(contest.participants, [PLAYER]);
+    assert.equal(contest.participantsCount, 1);
+  });
+});
+
+// Waits for background work (refunds, badge awards) to settle
+const eventually = async (check) => {
+  for (let attempt = 0; attempt < 100; attempt += 1) {
+    if (await check()) return;
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+  assert.fail("condition was not met in time");
+};
+
+describe("leaderboard", () => {
+  const WINNER = "winner@example.com";
+  const HIDDEN = "hidden@example.com";
+  let server;
+  let winnerId;
+
+  before(async () => {
+    winnerId = new ObjectId();
+    const contestId = new ObjectId();
+    const paid = (participant) => ({
+      contestId: contestId.toString(),
+      participant,
+      status: "Paid",
+      paidAt: new Date(),
+    });
+
+    server = await startTestServer({
+      users: [
+        { _id: winnerId, email: WINNER, name: "Winner" },
+        { email: HIDDEN, name: "Hidden", isProfilePublic: false },
+        { email: PLAYER, name: "Player" },
+      ],
+      contests: [
+        {
+          _id: contestId,
+          name: "Finished Contest",
+          status: "Completed",
+          prizeMoney: 100,
+          winner: { email: WINNER, name: "Winner" },
+          winners: [
+            { email: WINNER, placement: 1, prize: 100 },
+            { email: HIDDEN, placement: 2, prize: 0 },
+          ],
+        },
+      ],
+      orders: [paid(WINNER), paid(HIDDEN), paid(PLAYER)],
+    });
+  });
+
+  after(() => server.close());
+
+  it("ranks public profiles without exposing other emails", async () => {
+    const contests = server.db.collection("contests");
+    const aggregate = contests.aggregate;
+    let aggregations = 0;
+    contests.aggregate = (pipeline) => {
+      aggregations += 1;
+      return aggregate(pipeline);
+    };
+
+    const { status, body } = await server.request("GET", "/leaderboard", {
+      token: PLAYER,
+    });
+    await server.request("GET", "/leaderboard");
+
+    assert.equal(status, 200);
+    assert.equal(aggregations, 1);
+    assert.equal(body.total, 2);
+    assert.deepEqual(
+      body.entries.map(({ name, rank, points }) => ({ name, rank, points })),
+      [
+        { name: "Winner", rank: 1, points: 120 },
+        { name: "Player", rank: 2, points: 10 },
+      ]
+    );
+    assert.equal(body.entries[0].profileId, winnerId.toString());
+    assert.ok(body.entries.every((entry) => !("email" in entry)));
+    assert.equal(body.me.email, PLAYER);
+    assert.equal(body.me.rank, 2);
+  });
+});
+
+describe("admin reports", () => {
+  let server;
+
+  before(async () => {
+    const now = new Date();
+    const daysAgo = (days) => new Date(now.getTime() - days * 86400000);
+    const review = (status, at, action = "contest.status_update") => ({
+      action,
+      actor: ADMIN,
+      details: { status },
+      at,
+    });
+
+    server = await startTestServer({
+      users: [{ email: ADMIN, role: "admin" }],
+      auditLogs: [
+        review("Confirmed", now),
+        review("Confirmed", now),
+        review("Rejected", now),
+        review("Cancelled", now),
+        review("Confirmed", now, "contest.update"),
+        review("Confirmed", daysAgo(40)),
+      ],
+    });
+  });
+
+  after(() => server.close());
+
+  it("counts review decisions from the audit log", async () => {
+    const { status, body } = await server.request("GET", "/admin-reports", {
+      token: ADMIN,
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.summary.current.approvals, 2);
+    assert.equal(body.summary.current.rejections, 1);
+    assert.equal(body.summary.previous.approvals, 1);
+    assert.equal(body.summary.change.approvals, 100);
+
+    const today = body.series.at(-1);
+    assert.equal(today.approvals, 2);
+    assert.equal(today.rejections, 1);
+    assert.equal(
+      body.series.reduce((sum, row) => sum + row.approvals, 0),
+      2
+    );
+  });
+});
+
+describe("stripe webhook", () => {
+  let server;
+  let openId;
+  let cancelledId;
+
+  const completed = (sessionId, contestId) => ({
+    type: "checkout.session.completed",
+    data: {
+      object: {
+        id: sessionId,
+        payment_status: "paid",
+        payment_intent: `pi_${sessionId}`,
+        amount_total: 1000,
+        metadata: { contestId: contestId.toString(), participant: PLAYER },
+      },
+    },
+  });
+  const deliver = (event) =>
+    server.request("POST", "/stripe-webhook", { body: event });
+  const findContest = (id) =>
+    server.db.collections.contests.docs.find((doc) => doc._id.equals(id));
+  const ordersFor = (sessionId) =>
+    server.db.collections.orders.docs.filter(
+      (doc) => doc.sessionId === sessionId
+    );
+
+  beforeEach(async () => {
+    openId = new ObjectId();
+    cancelledId = new ObjectId();
+    const contest = (_id, status) => ({
+      _id,
+      name: `${status} Contest`,
+      status,
+      contestFee: 10,
+      deadline: new Date(Date.now() + 24 * 60 * 60 * 1000),
+      contestCreator: { email: CREATOR },
+      participants: [],
+      participantsCount: 0,
+    });
+
+    server = await startTestServer({
+      users: [{ email: PLAYER, role: "user" }],
+      contests: [
+        contest(openId, "Confirmed"),
+        contest(cancelledId, "Cancelled"),
+      ],
+    });
+  });
+
+  afterEach(() => server.close());
+
+  it("registers once when an event is delivered twice", async () => {
+    const event = completed("cs_twice", openId);
+
+    assert.equal((await deliver(event)).status, 200);
+    assert.equal((await deliver(event)).status, 200);
+
+    assert.equal(ordersFor("cs_twice").length, 1);
+    const contest = findContest(openId);
+    assert.deepEqual(contest.participants, [PLAYER]);
+    assert.equal(contest.participantsCount, 1);
+    const confirmations = server.db.collections.notifications.docs.filter(
+      (doc) => doc.type === "payment_confirmed"
+    );
+    assert.equal(confirmations.length, 1);
+  });
+
+  it("registers the participant on a retry after a failure", async () => {
+    const contests = server.db.collection("contests");
+    const updateOne = contests.updateOne;
+    contests.updateOne = async () => {
+      contests.updateOne = updateOne;
+      throw new Error("connection reset");
+    };
+    const event = completed("cs_retry", openId);
+
+    assert.equal((await deliver(event)).status, 500);
+    assert.equal((await deliver(event)).status, 200);
+
+    assert.equal(ordersFor("cs_retry").length, 1);
+    assert.deepEqual(findContest(openId).participants, [PLAYER]);
+    assert.equal(findContest(openId).participantsCount, 1);
+  });
+
+  it("refunds a payment for a contest that is no longer open", async () => {
+    const { status } = await deliver(completed("cs_late", cancelledId));
+
+    assert.equal(status, 200);
+    const [order] = ordersFor("cs_late");
+    await eventually(() => order.status === "Refunded");
+    assert.equal(order.refund.status, "Succeeded");
+    assert.equal(order.refund.reason, "Contest Cancelled");
+    assert.equal(
+      server.stripe.refundRequests[0].params.payment_intent,
+      "pi_cs_late"
+    );
+    assert.deepEqual(findContest(cancelledId).participants, []);
+    assert.equal(findContest(cancelledId).participantsCount, 0);
+  });
+});
+
+describe("refunds", () => {
+  let server;
+  let contestId;
+  let orderId;
+
+  before(async () => {
+    contestId = new ObjectId();
+    orderId = new ObjectId();
+    server = await startTestServer({
+      users: [
+        { email: ADMIN, role: "admin" },
+        { email: PLAYER, role: "user" },
+      ],
+      contests: [
+        {
+          _id: contestId,
+          name: "Doomed Contest",
+          status: "Confirmed",
+          contestFee: 10,
+          contestCreator: { email: CREATOR },
+          participants: [PLAYER],
+          participantsCount: 1,
+        },
+      ],
+      orders: [
+        {
+          _id: orderId,
+          contestId: contestId.toString(),
+          participant: PLAYER,
+          status: "Paid",
+          transactionId: "pi_doomed",
+          contestFee: 10,
+        },
+      ],
+    });
+  });
+
+  after(() => server.close());
+
+  const findOrder = () =>
+    server.db.collections.orders.docs.find((doc) => doc._id.equals(orderId));
+  const findContest = () =>
+    server.db.collections.contests.docs.find((doc) =>
+      doc._id.equals(contestId)
+    );
+
+  it("queues refunds when a contest is cancelled", async () => {
+    server.stripe.refundFailures.push(new Error("Stripe is unavailable"));
+
+    const { status, body } = await server.request(
+      "PATCH",
+      `/contest-status/${contestId}`,
+      { token: ADMIN, body: { status: "Cancelled" } }
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.refundsQueued, 1);
+    await eventually(() => findOrder().refund.status === "Failed");
+    assert.equal(findOrder().refund.attempts, 1);
+    assert.equal(findOrder().status, "Paid");
+    assert.deepEqual(findContest().participants, [PLAYER]);
+  });
+
+  it("retries a failed refund with a new idempotency key", async () => {
+    const { status, body } = await server.request(
+      "POST",
+      `/admin-refunds/${orderId}/retry`,
+      { token: ADMIN }
+    );
+
+    assert.equal(status, 200);
+    assert.equal(body.refund.status, "Succeeded");
+    assert.equal(findOrder().status, "Refunded");
+    assert.deepEqual(findContest().participants, []);
+    assert.equal(findContest().participantsCount, 0);
+
+    const keys = server.stripe.refundRequests.map(
+      ({ options }) => options.idempotencyKey
+    );
+    assert.deepEqual(keys, [
+      `order-refund-${orderId}-1`,
+      `order-refund-${orderId}-2`,
+    ]);
+  });
+});
+
+describe("rate limits", () => {
+  let server;
+
+  before(async () => {
+    server = await startTestServer({});
+  });
+
+  after(() => server.close());
+
+  it("throttles the contact form per sender", async () => {
+    const send = () =>
+      server.request("POST", "/contact", {
+        body: { name: "Visitor", email: PLAYER, message: "Hello" },
+      });
+
+    for (let attempt = 0; attempt < 3; attempt += 1) {
+      assert.equal((await send()).status, 201);
+    }
+    const { status, headers, body } = await send();
+
+    assert.equal(status, 429);
+    const retryAfter = Number(headers.get("retry-after"));
+    assert.ok(retryAfter > 0 && retryAfter <= 60 * 60);
+    assert.equal(body.error.details.retryAfter, retryAfter);
+    assert.equal(server.db.collections.contacts.docs.length, 3);
+  });
+});
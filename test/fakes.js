@@ -0,0 +1,305 @@
+const { ObjectId } = require("mongodb");
+const { createApp } = require("../app");
+const {
+  clone,
+  equals,
+  getPath,
+  setPath,
+  matches,
+  sortDocs,
+  runPipeline,
+} = require("./aggregate");
+
+// In-memory stand-ins for the injected services, so tests run without
+// MongoDB, Firebase or Stripe. Collections understand the query, update and
+// aggregation operators the app uses (see ./aggregate) and throw on the
+// rest; transactions are not supported.
+
+const applyUpdate = (doc, update, inserting) => {
+  for (const [op, fields] of Object.entries(update)) {
+    for (const [path, value] of Object.entries(fields)) {
+      switch (op) {
+        case "$set":
+          setPath(doc, path, clone(value));
+          break;
+        case "$setOnInsert":
+          if (inserting) setPath(doc, path, clone(value));
+          break;
+        case "$inc":
+          setPath(doc, path, (getPath(doc, path) || 0) + value);
+          break;
+        case "$addToSet": {
+          const list = getPath(doc, path) || [];
+          if (!list.some((item) => equals(item, value))) list.push(value);
+          setPath(doc, path, list);
+          break;
+        }
+        case "$push":
+          setPath(doc, path, [...(getPath(doc, path) || []), clone(value)]);
+          break;
+        case "$pull":
+          setPath(
+            doc,
+            path,
+            (getPath(doc, path) || []).filter((item) => !equals(item, value))
+          );
+          break;
+        case "$unset": {
+          const keys = path.split(".");
+          const last = keys.pop();
+          const target = keys.reduce((obj, key) => obj?.[key], doc);
+          if (target) delete target[last];
+          break;
+        }
+        default:
+          throw new Error(`Fake collection does not support ${op}`);
+      }
+    }
+  }
+  return doc;
+};
+
+// Equality fields of a query become the fields of an upserted document
+const seedFromQuery = (query) =>
+  Object.fromEntries(
+    Object.entries(query).filter(
+      ([key, value]) =>
+        !key.startsWith("$") &&
+        !(
+          value &&
+          typeof value === "object" &&
+          !(value instanceof ObjectId) &&
+          !(value instanceof Date)
+        )
+    )
+  );
+
+const cursorOf = (load) => {
+  let sortSpec = null;
+  let skipCount = 0;
+  let limitTo = Infinity;
+  const cursor = {
+    sort: (spec) => ((sortSpec = spec), cursor),
+    skip: (count) => ((skipCount = count), cursor),
+    limit: (count) => ((limitTo = count || Infinity), cursor),
+    project: () => cursor,
+    toArray: async () => {
+      const docs = load();
+      return (sortSpec ? sortDocs(docs, sortSpec) : docs)
+        .slice(skipCount, skipCount + limitTo)
+        .map(clone);
+    },
+    close: async () => {},
+    async *[Symbol.asyncIterator]() {
+      yield* await cursor.toArray();
+    },
+  };
+  return cursor;
+};
+
+const duplicateKeyError = () =>
+  Object.assign(new Error("E11000 duplicate key error"), { code: 11000 });
+
+const createFakeCollection = (collectionName, docs, source) => {
+  // Like MongoDB, every stored document has an _id
+  docs.forEach((doc) => (doc._id ??= new ObjectId()));
+  const find = (query) => docs.find((doc) => matches(doc, query));
+
+  const collection = {
+    collectionName,
+    docs,
+    indexes: [],
+
+    findOne: async (query = {}) => clone(find(query)) ?? null,
+    find: (query = {}) =>
+      cursorOf(() => docs.filter((doc) => matches(doc, query))),
+    countDocuments: async (query = {}) =>
+      docs.filter((doc) => matches(doc, query)).length,
+    aggregate: (pipeline) =>
+      cursorOf(() => runPipeline(docs, pipeline, source)),
+
+    insertOne: async (doc) => {
+      doc._id ??= new ObjectId();
+      if (docs.some((other) => equals(other._id, doc._id))) {
+        throw duplicateKeyError();
+      }
+      docs.push(clone(doc));
+      return { acknowledged: true, insertedId: doc._id };
+    },
+    insertMany: async (newDocs) => {
+      for (const doc of newDocs) await collection.insertOne(doc);
+      return {
+        acknowledged: true,
+        insertedIds: Object.fromEntries(newDocs.map((d, i) => [i, d._id])),
+      };
+    },
+
+    findOneAndUpdate: async (query, update, options = {}) => {
+      const doc = find(query);
+      if (!doc) {
+        if (!options.upsert) return null;
+        const inserted = applyUpdate(seedFromQuery(query), update, true);
+        await collection.insertOne(inserted);
+        return options.returnDocument === "after" ? clone(inserted) : null;
+      }
+      const before = clone(doc);
+      applyUpdate(doc, update, false);
+      return options.returnDocument === "after" ? clone(doc) : before;
+    },
+    updateOne: async (query, update, options = {}) => {
+      const doc = find(query);
+      if (!doc) {
+        if (!options.upsert) return { matchedCount: 0, modifiedCount: 0 };
+        const { insertedId } = await collection.insertOne(
+          applyUpdate(seedFromQuery(query), update, true)
+        );
+        return {
+          matchedCount: 0,
+          modifiedCount: 0,
+          upsertedCount: 1,
+          upsertedId: insertedId,
+        };
+      }
+      applyUpdate(doc, update, false);
+      return { matchedCount: 1, modifiedCount: 1, upsertedCount: 0 };
+    },
+    updateMany: async (query, update) => {
+      const matched = docs.filter((doc) => matches(doc, query));
+      matched.forEach((doc) => applyUpdate(doc, update, false));
+      return { matchedCount: matched.length, modifiedCount: matched.length };
+    },
+    deleteOne: async (query) => {
+      const index = docs.findIndex((doc) => matches(doc, query));
+      if (index !== -1) docs.splice(index, 1);
+      return { deletedCount: index === -1 ? 0 : 1 };
+    },
+
+    createIndex: async (keys, options = {}) => {
+      collection.indexes.push({ keys, options });
+      return options.name || Object.keys(keys).join("_");
+    },
+    dropIndex: async () => {
+      throw Object.assign(new Error("index not found"), {
+        codeName: "IndexNotFound",
+      });
+    },
+  };
+  return collection;
+};
+
+const createFakeDb = (seed = {}) => {
+  const collections = {};
+  const collection = (name) =>
+    (collections[name] ??= createFakeCollection(
+      name,
+      seed[name] || [],
+      (other) => collection(other).docs
+    ));
+  return { collections, collection, client: {} };
+};
+
+// Bearer tokens are the caller's email
+const fakeAuth = {
+  verifyIdToken: async (token) => {
+    if (!token.includes("@")) throw new Error("invalid token");
+    return { email: token };
+  },
+  updateUser: async () => {},
+  revokeRefreshTokens: async () => {},
+};
+
+// Records every call; push errors onto `refundFailures` to fail the next
+// refund requests in order
+const createFakeStripe = () => {
+  const created = [];
+  const refundRequests = [];
+  const refundFailures = [];
+  return {
+    created,
+    refundRequests,
+    refundFailures,
+    checkout: {
+      sessions: {
+        create: async (params) => {
+          created.push(params);
+          return {
+            id: `cs_test_${created.length}`,
+            url: "https://stripe.test",
+          };
+        },
+        retrieve: async () => {
+          throw Object.assign(new Error("No such session"), {
+            code: "resource_missing",
+          });
+        },
+      },
+    },
+    refunds: {
+      create: async (params, options) => {
+        refundRequests.push({ params, options });
+        const failure = refundFailures.shift();
+        if (failure) throw failure;
+        return { id: `re_test_${refundRequests.length}`, amount: 0 };
+      },
+    },
+    webhooks: { constructEvent: (payload) => JSON.parse(payload.toString()) },
+  };
+};
+
+const createFakeMail = () => {
+  const sent = [];
+  return { sent, send: async (message) => void sent.push(message) };
+};
+
+// Builds the app on fakes and serves it on a random port
+const startTestServer = async (seed) => {
+  const db = createFakeDb(seed);
+  const stripe = createFakeStripe();
+  const mailTransport = createFakeMail();
+  const { app, start } = createApp({
+    db,
+    stripe,
+    auth: fakeAuth,
+    mailTransport,
+  });
+
+  const server = await new Promise((resolve) => {
+    const listening = app.listen(0, () => resolve(listening));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { token, body } = {}) => {
+    const response = await fetch(baseUrl + path, {
+      method,
+      headers: {
+        ...(token && { Authorization: `Bearer ${token}` }),
+        ...(body && { "Content-Type": "application/json" }),
+      },
+      body: body && JSON.stringify(body),
+    });
+    const text = await response.text();
+    return {
+      status: response.status,
+      headers: response.headers,
+      body: text ? JSON.parse(text) : null,
+    };
+  };
+
+  return {
+    db,
+    stripe,
+    mailTransport,
+    start,
+    request,
+    close: () => new Promise((resolve) => server.close(resolve)),
+  };
+};
+
+module.exports = {
+  createFakeDb,
+  createFakeCollection,
+  fakeAuth,
+  createFakeStripe,
+  createFakeMail,
+  startTestServer,
+};
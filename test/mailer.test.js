@@ -0,0 +1,28 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { createMailTransport, renderEmail } = require("../mailer");
+
+describe("createMailTransport", () => {
+  it("defaults to the console only in local mode", () => {
+    assert.equal(
+      createMailTransport({ type: "", local: true }).name,
+      "console"
+    );
+    assert.throws(() => createMailTransport({ type: "" }), /EMAIL_TRANSPORT/);
+  });
+
+  it("rejects unknown transports", () => {
+    assert.throws(() => createMailTransport({ type: "pigeon" }), /pigeon/);
+  });
+});
+
+describe("renderEmail", () => {
+  it("does not echo contact form input in the auto-reply", () => {
+    const email = renderEmail("contactReceived", {
+      name: "Buy now",
+      message: "http://spam.example",
+    });
+
+    assert.doesNotMatch(email.text, /spam\.example|Buy now/);
+  });
+});
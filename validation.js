@@ -0,0 +1,113 @@
+// Uniform error envelope shared by every route:
+//   { error: { code: "NOT_FOUND", message: "Contest not found.", details? } }
+
+const STATUS_CODES = {
+  400: "BAD_REQUEST",
+  401: "UNAUTHORIZED",
+  403: "FORBIDDEN",
+  404: "NOT_FOUND",
+  409: "CONFLICT",
+  413: "PAYLOAD_TOO_LARGE",
+  429: "TOO_MANY_REQUESTS",
+  500: "INTERNAL_ERROR",
+};
+
+class ApiError extends Error {
+  constructor(status, message, { code, details } = {}) {
+    super(message);
+    this.status = status;
+    this.code = code || STATUS_CODES[status] || "ERROR";
+    this.details = details;
+  }
+}
+
+const sendError = (res, status, message, { code, details } = {}) =>
+  res.status(status).send({
+    error: {
+      code: code || STATUS_CODES[status] || "ERROR",
+      message,
+      ...(details !== undefined && { details }),
+    },
+  });
+
+// Validates `params`, `query` and `body` against zod schemas and replaces
+// them with the parsed (coerced, stripped) values.
+const validate = (schemas) => (req, res, next) => {
+  const details = [];
+  const parsed = {};
+
+  for (const location of ["params", "query", "body"]) {
+    if (!schemas[location]) continue;
+
+    const result = schemas[location].safeParse(req[location] ?? {});
+    if (result.success) {
+      parsed[location] = result.data;
+    } else {
+      for (const issue of result.error.issues) {
+        details.push({
+          location,
+          field: issue.path.join(".") || null,
+          message: issue.message,
+        });
+      }
+    }
+  }
+
+  if (details.length > 0) {
+    return sendError(res, 400, "Request validation failed.", {
+      code: "VALIDATION_ERROR",
+      details,
+    });
+  }
+
+  if (parsed.params) req.params = parsed.params;
+  if (parsed.body) req.body = parsed.body;
+  // Express 5 exposes `req.query` through a getter
+  if (parsed.query) {
+    Object.defineProperty(req, "query", {
+      value: parsed.query,
+      writable: true,
+      configurable: true,
+      enumerable: true,
+    });
+  }
+
+  next();
+};
+
+const notFoundHandler = (req, res) =>
+  sendError(res, 404, `Route ${req.method} ${req.path} not found.`, {
+    code: "ROUTE_NOT_FOUND",
+  });
+
+// Last middleware: turns thrown errors (and body-parser failures) into the
+// envelope instead of Express' default HTML page.
+const errorHandler = (err, req, res, next) => {
+  if (err instanceof ApiError) {
+    return sendError(res, err.status, err.message, {
+      code: err.code,
+      details: err.details,
+    });
+  }
+
+  if (err.type === "entity.parse.failed") {
+    return sendError(res, 400, "Malformed JSON body.", {
+      code: "INVALID_JSON",
+    });
+  }
+
+  if (err.type === "entity.too.large") {
+    return sendError(res, 413, "Request body is too large.");
+  }
+
+  console.error(`Unhandled error on ${req.method} ${req.originalUrl}:`, err);
+  sendError(res, 500, "Something went wrong.");
+};
+
+module.exports = {
+  ApiError,
+  sendError,
+  validate,
+  notFoundHandler,
+  errorHandler,
+};